@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_POOL = {
+  maxConnections: 5,
+  maxMessages: 100,
+  rateLimit: 5 // 5 emails per second max
+};
+
+function parseBoolean(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'boolean') return value;
+  return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+function parseInteger(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+// Replace ${VAR} placeholders so secrets can stay in the environment
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, interpolateEnv(val)]));
+  }
+  return value;
+}
+
+function readDefinitionsFromEnv() {
+  const accountCount = parseInt(process.env.EMAIL_ACCOUNTS_COUNT) || 1;
+  const definitions = [];
+
+  for (let i = 1; i <= accountCount; i++) {
+    const env = (key) => process.env[`EMAIL_${key}_${i}`];
+    const user = env('USER');
+    const pass = env('PASS');
+    const host = env('HOST');
+
+    // Gmail accounts only need user/pass; custom SMTP needs at least a host
+    if (!host && !(user && pass)) {
+      definitions.push({ id: i, invalid: true });
+      continue;
+    }
+
+    definitions.push({
+      id: i,
+      name: env('NAME'),
+      service: env('SERVICE') || (host ? undefined : 'gmail'),
+      host,
+      port: parseInteger(env('PORT')),
+      secure: parseBoolean(env('SECURE')),
+      requireTLS: parseBoolean(env('REQUIRE_TLS')),
+      ignoreTLS: parseBoolean(env('IGNORE_TLS')),
+      tls: env('TLS_REJECT_UNAUTHORIZED') !== undefined
+        ? { rejectUnauthorized: parseBoolean(env('TLS_REJECT_UNAUTHORIZED')) }
+        : undefined,
+      auth: user ? { user, pass } : undefined,
+      authMethod: env('AUTH_METHOD'),
+      from: env('FROM'),
+      pool: {
+        enabled: parseBoolean(env('POOL')),
+        maxConnections: parseInteger(env('MAX_CONNECTIONS')),
+        maxMessages: parseInteger(env('MAX_MESSAGES')),
+        rateLimit: parseInteger(env('RATE_LIMIT'))
+      },
+      dailyLimit: parseInteger(env('DAILY_LIMIT')),
+      rateLimits: {
+        perSecond: env('RATE_PER_SECOND'),
+        perHour: env('RATE_PER_HOUR'),
+        perDay: env('RATE_PER_DAY')
+      }
+    });
+  }
+
+  return definitions;
+}
+
+function readDefinitionsFromFile(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath);
+  const content = fs.readFileSync(resolved, 'utf8');
+  const parsed = /\.ya?ml$/i.test(resolved) ? yaml.load(content) : JSON.parse(content);
+  const accounts = Array.isArray(parsed) ? parsed : (parsed && parsed.accounts) || [];
+
+  return accounts.map(account => interpolateEnv(account));
+}
+
+// Only the limits that are set; the throttler fills the rest from ACCOUNT_RATE_* defaults
+function normalizeRateLimits(rateLimits = {}) {
+  return Object.fromEntries(['perSecond', 'perHour', 'perDay']
+    .map(key => [key, parseInteger(rateLimits[key])])
+    .filter(([, value]) => value > 0));
+}
+
+/**
+ * Normalize a raw account definition (from env or file) into the shape used by EmailConfig.
+ * Returns null when the definition cannot be used to send mail.
+ */
+function normalizeDefinition(raw, fallbackId) {
+  if (!raw || raw.invalid) return null;
+
+  const auth = raw.auth || (raw.user ? { user: raw.user, pass: raw.pass } : undefined);
+  const from = raw.from || raw.email || (auth && auth.user);
+
+  if ((!raw.service && !raw.host) || !from) return null;
+
+  const pool = raw.pool === false
+    ? { enabled: false }
+    : { ...(typeof raw.pool === 'object' ? raw.pool : {}) };
+
+  return {
+    id: raw.id !== undefined ? raw.id : fallbackId,
+    name: raw.name || from,
+    provider: raw.service ? String(raw.service).toLowerCase() : 'smtp',
+    service: raw.service,
+    host: raw.host,
+    port: parseInteger(raw.port),
+    secure: parseBoolean(raw.secure),
+    requireTLS: parseBoolean(raw.requireTLS),
+    ignoreTLS: parseBoolean(raw.ignoreTLS),
+    tls: raw.tls,
+    auth,
+    authMethod: raw.authMethod,
+    from,
+    pool: {
+      enabled: pool.enabled !== undefined ? parseBoolean(pool.enabled) : true,
+      maxConnections: parseInteger(pool.maxConnections) || DEFAULT_POOL.maxConnections,
+      maxMessages: parseInteger(pool.maxMessages) || DEFAULT_POOL.maxMessages,
+      rateLimit: parseInteger(pool.rateLimit) || DEFAULT_POOL.rateLimit
+    },
+    dailyLimit: parseInteger(raw.dailyLimit),
+    rateLimits: normalizeRateLimits(raw.rateLimits)
+  };
+}
+
+/**
+ * Build nodemailer transport options from a normalized account definition.
+ */
+function buildTransportOptions(definition) {
+  const options = {};
+
+  if (definition.service) {
+    options.service = definition.service;
+  } else {
+    options.host = definition.host;
+  }
+
+  if (definition.port !== undefined) options.port = definition.port;
+  if (definition.secure !== undefined) options.secure = definition.secure;
+  if (definition.requireTLS !== undefined) options.requireTLS = definition.requireTLS;
+  if (definition.ignoreTLS !== undefined) options.ignoreTLS = definition.ignoreTLS;
+  if (definition.tls) options.tls = definition.tls;
+  if (definition.auth) options.auth = definition.auth;
+  if (definition.authMethod) options.authMethod = definition.authMethod;
+
+  if (definition.pool.enabled) {
+    options.pool = true; // Use connection pooling
+    options.maxConnections = definition.pool.maxConnections;
+    options.maxMessages = definition.pool.maxMessages;
+    options.rateLimit = definition.pool.rateLimit;
+  }
+
+  return options;
+}
+
+/**
+ * Load account definitions from EMAIL_USER_n/EMAIL_HOST_n env vars and,
+ * if EMAIL_ACCOUNTS_FILE is set, from a JSON or YAML accounts file.
+ */
+function loadAccountDefinitions() {
+  const rawDefinitions = readDefinitionsFromEnv();
+
+  if (process.env.EMAIL_ACCOUNTS_FILE) {
+    rawDefinitions.push(...readDefinitionsFromFile(process.env.EMAIL_ACCOUNTS_FILE));
+  }
+
+  const definitions = [];
+  const skipped = [];
+  let nextId = 1;
+
+  rawDefinitions.forEach((raw) => {
+    const definition = normalizeDefinition(raw, nextId);
+    if (definition) {
+      definitions.push(definition);
+      nextId = Math.max(nextId, Number(definition.id) + 1 || nextId + 1);
+    } else {
+      skipped.push(raw && raw.id !== undefined ? raw.id : nextId);
+      nextId++;
+    }
+  });
+
+  return { definitions, skipped };
+}
+
+module.exports = {
+  loadAccountDefinitions,
+  normalizeDefinition,
+  buildTransportOptions
+};
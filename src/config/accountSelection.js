@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+const DEFAULT_STRATEGY = 'round-robin';
+
+/**
+ * Account selection strategies. Each one picks from `candidates` (accounts
+ * still under their daily limit, in configuration order) and may keep
+ * bookkeeping in `state`, which EmailConfig holds for the process lifetime.
+ */
+const strategies = {
+  // Next available account after the one used last
+  'round-robin': (candidates, { accounts, state }) => {
+    const start = accounts.findIndex(account => account.id === state.lastAccountId) + 1;
+    for (let i = 0; i < accounts.length; i++) {
+      const account = accounts[(start + i) % accounts.length];
+      if (candidates.includes(account)) return account;
+    }
+    return candidates[0];
+  },
+
+  // Fewest sends in the current limit window
+  'least-used': (candidates, { getUsage }) => candidates.reduce((best, account) => (
+    getUsage(account) < getUsage(best) ? account : best
+  )),
+
+  // Smooth weighted round-robin: each account gets a share of sends proportional to its daily quota
+  weighted: (candidates, { getQuota, state }) => {
+    const total = candidates.reduce((sum, account) => sum + getQuota(account), 0);
+    let best = null;
+
+    candidates.forEach((account) => {
+      const current = (state.weights.get(account.id) || 0) + getQuota(account);
+      state.weights.set(account.id, current);
+      if (!best || current > state.weights.get(best.id)) best = account;
+    });
+
+    state.weights.set(best.id, state.weights.get(best.id) - total);
+    return best;
+  },
+
+  // Rendezvous hashing: a recipient domain keeps its account across sends and
+  // server instances, and only moves when that account becomes unavailable
+  'sticky-domain': (candidates, context) => {
+    if (!context.domain) return strategies['round-robin'](candidates, context);
+
+    const score = account => crypto.createHash('sha1').update(`${context.domain}:${account.id}`).digest().readUInt32BE(0);
+    return candidates.reduce((best, account) => (score(account) > score(best) ? account : best));
+  }
+};
+
+const ACCOUNT_STRATEGIES = Object.keys(strategies);
+
+function selectAccount(strategy, candidates, context) {
+  return (strategies[strategy] || strategies[DEFAULT_STRATEGY])(candidates, context);
+}
+
+module.exports = {
+  ACCOUNT_STRATEGIES,
+  DEFAULT_STRATEGY,
+  selectAccount
+};
@@ -1,126 +1,405 @@
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
+const { loadAccountDefinitions, normalizeDefinition, buildTransportOptions } = require('./accountDefinitions');
+const { ACCOUNT_STRATEGIES, DEFAULT_STRATEGY, selectAccount } = require('./accountSelection');
+const AccountStore = require('../services/accountStore');
+const UsageStore = require('../services/usageStore');
+const { getRecipientDomains } = require('../utils/recipients');
+const { isAuthError } = require('../utils/smtpErrors');
 
 class EmailConfig {
   constructor() {
     this.accounts = [];
-    this.currentAccountIndex = 0;
-    this.dailyLimits = new Map(); // Track daily email counts per account
+    this.selectionStrategy = this.resolveStrategy(process.env.ACCOUNT_SELECTION_STRATEGY);
+    this.selectionState = { lastAccountId: null, weights: new Map() };
+    // Circuit breaker: consecutive account-level failures before an account is taken out, and for how long
+    this.failureThreshold = parseInt(process.env.ACCOUNT_FAILURE_THRESHOLD) || 3;
+    this.failureCooldown = parseInt(process.env.ACCOUNT_FAILURE_COOLDOWN) || 5 * 60 * 1000;
+    this.usageStore = new UsageStore();
+    // "calendar" counts since midnight in USAGE_RESET_TIMEZONE; "rolling" counts the last 24h
+    this.limitWindow = process.env.DAILY_LIMIT_WINDOW === 'rolling' ? 'rolling' : 'calendar';
+    this.usageStore.load();
+    this.accountStore = new AccountStore();
     this.loadEmailAccounts();
   }
 
   loadEmailAccounts() {
-    const accountCount = parseInt(process.env.EMAIL_ACCOUNTS_COUNT) || 1;
-    
-    for (let i = 1; i <= accountCount; i++) {
-      const email = process.env[`EMAIL_USER_${i}`];
-      const password = process.env[`EMAIL_PASS_${i}`];
-      
-      if (email && password) {
-        const transporter = nodemailer.createTransport({
-          service: 'gmail',
-          auth: {
-            user: email,
-            pass: password
-          },
-          pool: true, // Use connection pooling
-          maxConnections: 5,
-          maxMessages: 100,
-          rateLimit: 5 // 5 emails per second max
-        });
-
-        this.accounts.push({
-          id: i,
-          email,
-          transporter,
-          dailyCount: 0,
-          lastResetDate: new Date().toDateString()
-        });
-
-        logger.info(`✅ Email account configured: ${email}`);
-      } else {
-        logger.warn(`⚠️ Email account ${i} not configured properly`);
-      }
+    let definitions = [];
+    let skipped = [];
+
+    try {
+      ({ definitions, skipped } = loadAccountDefinitions());
+    } catch (error) {
+      logger.error('❌ Failed to load email account definitions:', error);
     }
 
+    skipped.forEach(id => logger.warn(`⚠️ Email account ${id} not configured properly`));
+
+    definitions.forEach((definition) => {
+      this.accounts.push(this.createAccount(definition, 'config'));
+      logger.info(`✅ Email account configured: ${definition.from} (${definition.provider})`);
+    });
+
+    this.accountStore.load();
+    this.loadRuntimeAccounts();
+
     if (this.accounts.length === 0) {
       logger.warn('⚠️ No email accounts configured. Email functionality will be limited.');
-      logger.info('💡 To configure email accounts, set EMAIL_USER_1, EMAIL_PASS_1, etc. in your .env file');
+      logger.info('💡 To configure email accounts, set EMAIL_USER_1, EMAIL_PASS_1 (or EMAIL_HOST_1 for custom SMTP), or EMAIL_ACCOUNTS_FILE in your .env file');
     } else {
       logger.info(`📧 Total email accounts loaded: ${this.accounts.length}`);
     }
   }
 
+  // Accounts added through the API, from whichever backend the account store uses
+  loadRuntimeAccounts() {
+    this.accountStore.list().forEach((record) => {
+      const definition = normalizeDefinition({ ...record.definition, id: record.id }, record.id);
+      if (!definition) {
+        logger.warn(`⚠️ Runtime email account ${record.id} not configured properly`);
+        return;
+      }
+      this.accounts.push(this.createAccount(definition, 'api', record.enabled));
+      logger.info(`✅ Runtime email account loaded: ${definition.from} (${definition.provider})${record.enabled ? '' : ' [disabled]'}`);
+    });
+  }
+
+  /**
+   * Keep usage counters and runtime accounts in Redis (called when the Redis
+   * queue starts). Runtime accounts are reloaded from there.
+   */
+  async useRedis(client) {
+    this.usageStore.useRedis(client);
+    await this.accountStore.useRedis(client);
+
+    const previous = this.accounts.filter(account => account.source === 'api');
+    this.accounts = this.accounts.filter(account => account.source !== 'api');
+    previous.forEach(account => this.closeTransporter(account).catch(error => logger.error(`❌ Failed to close transporter of ${account.email}:`, error)));
+    this.loadRuntimeAccounts();
+  }
+
+  // `source` is "config" (env vars / accounts file) or "api" (managed at runtime)
+  createAccount(definition, source, enabled = true) {
+    return {
+      id: definition.id,
+      name: definition.name,
+      email: definition.from,
+      provider: definition.provider,
+      host: definition.host,
+      port: definition.port,
+      secure: definition.secure,
+      dailyLimit: definition.dailyLimit,
+      rateLimits: definition.rateLimits,
+      transporter: nodemailer.createTransport(buildTransportOptions(definition)),
+      source,
+      enabled,
+      inFlight: 0,
+      dailyCount: 0,
+      rollingCount: 0,
+      lastResetDate: this.usageStore.getToday(),
+      health: { consecutiveFailures: 0, lastError: null, lastFailureAt: null, unhealthyUntil: null }
+    };
+  }
+
+  resolveStrategy(strategy) {
+    if (strategy && !ACCOUNT_STRATEGIES.includes(strategy)) {
+      logger.warn(`⚠️ Unknown ACCOUNT_SELECTION_STRATEGY "${strategy}", using ${DEFAULT_STRATEGY}`);
+      return DEFAULT_STRATEGY;
+    }
+    return strategy || DEFAULT_STRATEGY;
+  }
+
+  getDailyLimit(account) {
+    return account.dailyLimit || parseInt(process.env.DAILY_EMAIL_LIMIT_PER_ACCOUNT) || 450;
+  }
+
   async verifyConnections() {
     const verificationPromises = this.accounts.map(async (account) => {
       try {
         await account.transporter.verify();
         logger.info(`✅ Email account verified: ${account.email}`);
-        return { email: account.email, status: 'verified' };
+        return { id: account.id, email: account.email, provider: account.provider, status: 'verified' };
       } catch (error) {
         logger.error(`❌ Email account verification failed: ${account.email}`, error);
-        return { email: account.email, status: 'failed', error: error.message };
+        return { id: account.id, email: account.email, provider: account.provider, status: 'failed', error: error.message };
       }
     });
 
     return await Promise.all(verificationPromises);
   }
 
-  getNextAvailableAccount() {
+  // Counters live in the usage store so restarts and other instances see the same totals
+  async refreshUsage() {
+    // Snapshot: accounts can be added or removed through the API while this waits
+    const accounts = [...this.accounts];
+    const usage = await Promise.all(accounts.map(account => this.usageStore.get(account.id)));
+    accounts.forEach((account, index) => this.applyUsage(account, usage[index]));
+  }
+
+  applyUsage(account, { date, daily, rolling }) {
+    account.dailyCount = daily;
+    account.rollingCount = rolling;
+    account.lastResetDate = date;
+  }
+
+  getUsageCount(account) {
+    return this.limitWindow === 'rolling' ? account.rollingCount : account.dailyCount;
+  }
+
+  isAccountHealthy(account) {
+    return !account.health.unhealthyUntil || Date.now() >= account.health.unhealthyUntil;
+  }
+
+  /**
+   * Record an auth or connection failure. The account is taken out of rotation
+   * for ACCOUNT_FAILURE_COOLDOWN after ACCOUNT_FAILURE_THRESHOLD consecutive
+   * failures, straight away for auth errors, and again on the first failure
+   * after a cooldown.
+   */
+  recordAccountFailure(account, error) {
+    const { health } = account;
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+    health.lastFailureAt = new Date().toISOString();
+
+    if (isAuthError(error) || health.unhealthyUntil || health.consecutiveFailures >= this.failureThreshold) {
+      health.unhealthyUntil = Date.now() + this.failureCooldown;
+      logger.warn(`🚫 Email account ${account.email} marked unhealthy for ${Math.round(this.failureCooldown / 1000)}s: ${error.message}`);
+    }
+  }
+
+  recordAccountSuccess(account) {
+    const { health } = account;
+    if (health.unhealthyUntil) {
+      logger.info(`💚 Email account ${account.email} is healthy again`);
+    }
+    health.consecutiveFailures = 0;
+    health.unhealthyUntil = null;
+  }
+
+  getAccountHealth(account) {
+    const { health } = account;
+    let state = 'healthy';
+    if (health.unhealthyUntil) {
+      // Cooldown over: the next send is the probe that closes or reopens the circuit
+      state = this.isAccountHealthy(account) ? 'recovering' : 'unhealthy';
+    }
+
+    return {
+      state,
+      consecutiveFailures: health.consecutiveFailures,
+      lastError: health.lastError,
+      lastFailureAt: health.lastFailureAt,
+      unhealthyUntil: state === 'unhealthy' ? new Date(health.unhealthyUntil).toISOString() : null
+    };
+  }
+
+  /**
+   * Pick the sending account for one message. `strategy` overrides
+   * ACCOUNT_SELECTION_STRATEGY (e.g. from bulk job options); `to` is used by
+   * the sticky-domain strategy; `exclude` lists account ids that already
+   * failed for this message.
+   */
+  async getNextAvailableAccount({ strategy, to, exclude = [] } = {}) {
     if (this.accounts.length === 0) {
-      throw new Error('No email accounts configured. Please configure email accounts in your .env file.');
+      const error = new Error('No email accounts configured. Please configure email accounts in your .env file.');
+      error.code = 'ENOACCOUNTS';
+      throw error;
     }
 
-    const today = new Date().toDateString();
-    const dailyLimit = parseInt(process.env.DAILY_EMAIL_LIMIT_PER_ACCOUNT) || 450;
+    const enabled = this.accounts.filter(account => account.enabled);
+    if (enabled.length === 0) {
+      const error = new Error('All email accounts are disabled');
+      error.code = 'ENOACCOUNTS';
+      throw error;
+    }
 
-    // Reset daily counts if it's a new day
-    this.accounts.forEach(account => {
-      if (account.lastResetDate !== today) {
-        account.dailyCount = 0;
-        account.lastResetDate = today;
-      }
-    });
+    await this.refreshUsage();
 
-    // Find an account that hasn't reached daily limit
-    let attempts = 0;
-    while (attempts < this.accounts.length) {
-      const account = this.accounts[this.currentAccountIndex];
-      
-      if (account.dailyCount < dailyLimit) {
-        return account;
-      }
+    // Only accounts that haven't reached their daily limit
+    const withinLimit = enabled.filter(account => this.getUsageCount(account) < this.getDailyLimit(account));
+
+    if (withinLimit.length === 0) {
+      const error = new Error('All email accounts have reached their daily sending limit');
+      error.code = 'EDAILYLIMIT';
+      throw error;
+    }
+
+    const candidates = withinLimit.filter(account => !exclude.includes(account.id) && this.isAccountHealthy(account));
 
-      // Move to next account
-      this.currentAccountIndex = (this.currentAccountIndex + 1) % this.accounts.length;
-      attempts++;
+    if (candidates.length === 0) {
+      const error = new Error('No healthy email account available');
+      error.code = 'ENOHEALTHYACCOUNTS';
+      throw error;
     }
 
-    // All accounts have reached daily limit
-    throw new Error('All email accounts have reached their daily sending limit');
+    const account = selectAccount(strategy || this.selectionStrategy, candidates, {
+      accounts: this.accounts,
+      state: this.selectionState,
+      domain: getRecipientDomains(to)[0] || null,
+      getUsage: acc => this.getUsageCount(acc),
+      getQuota: acc => this.getDailyLimit(acc)
+    });
+    this.selectionState.lastAccountId = account.id;
+    return account;
   }
 
-  incrementAccountUsage(accountId) {
+  async incrementAccountUsage(accountId) {
     const account = this.accounts.find(acc => acc.id === accountId);
-    if (account) {
-      account.dailyCount++;
-      logger.debug(`Account ${account.email} daily count: ${account.dailyCount}`);
+    if (!account) return;
+
+    // The message is already sent; a counter failure must not turn it into a failed (and retried) send
+    try {
+      this.applyUsage(account, await this.usageStore.increment(account.id));
+      logger.debug(`Account ${account.email} daily count: ${account.dailyCount}, last 24h: ${account.rollingCount}`);
+    } catch (error) {
+      logger.error(`❌ Failed to record usage for ${account.email}:`, error);
+    }
+  }
+
+  async getAccountsStatus() {
+    await this.refreshUsage();
+    const nextResetAt = this.usageStore.getNextResetAt();
+
+    return this.accounts.map(account => {
+      const dailyLimit = this.getDailyLimit(account);
+      const used = this.getUsageCount(account);
+      const health = this.getAccountHealth(account);
+      return {
+        id: account.id,
+        name: account.name,
+        email: account.email,
+        provider: account.provider,
+        host: account.host || null,
+        port: account.port || null,
+        secure: account.secure !== undefined ? account.secure : null,
+        source: account.source,
+        enabled: account.enabled,
+        dailyCount: account.dailyCount,
+        last24hCount: account.rollingCount,
+        dailyLimit,
+        limitWindow: this.limitWindow,
+        remainingToday: Math.max(0, dailyLimit - used),
+        lastResetDate: account.lastResetDate,
+        nextResetAt,
+        resetTimeZone: this.usageStore.timeZone,
+        health,
+        isAvailable: account.enabled && used < dailyLimit && health.state !== 'unhealthy'
+      };
+    });
+  }
+
+  findAccount(accountId) {
+    return this.accounts.find(account => String(account.id) === String(accountId)) || null;
+  }
+
+  // Only accounts added through the API can be changed at runtime
+  getRuntimeAccount(accountId) {
+    const account = this.findAccount(accountId);
+    if (!account) {
+      const error = new Error(`Email account ${accountId} not found`);
+      error.code = 'EACCOUNTNOTFOUND';
+      throw error;
+    }
+    if (account.source !== 'api') {
+      const error = new Error(`Email account ${accountId} is configured through environment variables or the accounts file`);
+      error.code = 'EACCOUNTREADONLY';
+      throw error;
+    }
+    return account;
+  }
+
+  async verifyAccount(account) {
+    try {
+      await account.transporter.verify();
+    } catch (error) {
+      account.transporter.close();
+      const verifyError = new Error(`Account verification failed: ${error.message}`);
+      verifyError.code = 'EVERIFYFAILED';
+      throw verifyError;
     }
   }
 
-  getAccountsStatus() {
-    const today = new Date().toDateString();
-    const dailyLimit = parseInt(process.env.DAILY_EMAIL_LIMIT_PER_ACCOUNT) || 450;
+  /**
+   * Add a sending account at runtime. Enabled accounts are verified against
+   * their SMTP server before they join the rotation.
+   */
+  async addAccount({ enabled = true, ...input }) {
+    // Fail before connecting anywhere if the credentials could not be stored
+    if (input.auth) this.accountStore.requireKey();
 
-    return this.accounts.map(account => ({
-      id: account.id,
-      email: account.email,
-      dailyCount: account.dailyCount,
-      dailyLimit,
-      remainingToday: dailyLimit - account.dailyCount,
-      lastResetDate: account.lastResetDate,
-      isAvailable: account.dailyCount < dailyLimit && account.lastResetDate === today
-    }));
+    const id = crypto.randomUUID();
+    const account = this.createAccount(normalizeDefinition({ ...input, id }, id), 'api', enabled);
+    if (enabled) await this.verifyAccount(account);
+
+    const now = new Date().toISOString();
+    try {
+      await this.accountStore.save({ id, definition: input, enabled, createdAt: now, updatedAt: now });
+    } catch (error) {
+      account.transporter.close();
+      throw error;
+    }
+
+    this.accounts.push(account);
+    logger.info(`➕ Email account added: ${account.email} (${account.provider})${enabled ? '' : ' [disabled]'}`);
+    return account;
+  }
+
+  /**
+   * Update a runtime account. Connection changes get a new, verified
+   * transporter; the old one is closed once its in-flight sends finish.
+   */
+  async updateAccount(accountId, { enabled, ...changes }) {
+    const account = this.getRuntimeAccount(accountId);
+    const record = this.accountStore.get(account.id);
+    const input = { ...record.definition, ...changes };
+    const nextEnabled = enabled !== undefined ? enabled : account.enabled;
+    if (changes.auth) this.accountStore.requireKey();
+
+    const reconfigured = Object.keys(changes).length > 0;
+    const updated = reconfigured
+      ? this.createAccount(normalizeDefinition({ ...input, id: account.id }, account.id), 'api', nextEnabled)
+      : account;
+
+    if (nextEnabled && (reconfigured || !account.enabled)) await this.verifyAccount(updated);
+
+    try {
+      await this.accountStore.save({ ...record, definition: input, enabled: nextEnabled, updatedAt: new Date().toISOString() });
+    } catch (error) {
+      if (updated !== account) updated.transporter.close();
+      throw error;
+    }
+
+    if (updated !== account) {
+      this.accounts.splice(this.accounts.indexOf(account), 1, updated);
+      this.closeTransporter(account).catch(error => logger.error(`❌ Failed to close transporter of ${account.email}:`, error));
+    } else {
+      account.enabled = nextEnabled;
+    }
+
+    logger.info(`✏️ Email account updated: ${updated.email}${nextEnabled ? '' : ' [disabled]'}`);
+    return updated;
+  }
+
+  async removeAccount(accountId) {
+    const account = this.getRuntimeAccount(accountId);
+
+    // Out of rotation first, so no new send picks it while the pool drains
+    this.accounts.splice(this.accounts.indexOf(account), 1);
+    await this.accountStore.remove(account.id);
+    logger.info(`➖ Email account removed: ${account.email}`);
+
+    await this.closeTransporter(account);
+  }
+
+  // Let in-flight sends finish before closing the pooled connections
+  async closeTransporter(account, timeout = 30 * 1000) {
+    const deadline = Date.now() + timeout;
+    while (account.inFlight > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    account.transporter.close();
   }
 
   async closeConnections() {
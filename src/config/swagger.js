@@ -79,6 +79,14 @@ const options = {
       {
         name: 'Accounts',
         description: 'Email account management'
+      },
+      {
+        name: 'Schedules',
+        description: 'Recurring campaign schedules'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Outbound webhooks for job and delivery events'
       }
     ],
     components: {
@@ -309,16 +317,45 @@ const options = {
             },
             dailyCount: {
               type: 'integer',
-              description: 'Emails sent today'
+              description: 'Emails sent today (since midnight in resetTimeZone)'
+            },
+            last24hCount: {
+              type: 'integer',
+              description: 'Emails sent in the last 24 hours (hourly buckets)'
             },
             dailyLimit: {
               type: 'integer',
               description: 'Daily sending limit'
             },
+            limitWindow: {
+              type: 'string',
+              enum: ['calendar', 'rolling'],
+              description: 'Which counter dailyLimit applies to (DAILY_LIMIT_WINDOW)'
+            },
             remainingToday: {
               type: 'integer',
               description: 'Remaining emails for today'
             },
+            nextResetAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Next midnight in resetTimeZone'
+            },
+            resetTimeZone: {
+              type: 'string',
+              description: 'Time zone of the daily reset (USAGE_RESET_TIMEZONE)'
+            },
+            health: {
+              type: 'object',
+              description: 'Circuit breaker state after auth/connection failures',
+              properties: {
+                state: { type: 'string', enum: ['healthy', 'unhealthy', 'recovering'] },
+                consecutiveFailures: { type: 'integer' },
+                lastError: { type: 'string', nullable: true },
+                lastFailureAt: { type: 'string', format: 'date-time', nullable: true },
+                unhealthyUntil: { type: 'string', format: 'date-time', nullable: true }
+              }
+            },
             isAvailable: {
               type: 'boolean',
               description: 'Whether account is available for sending'
@@ -347,6 +384,19 @@ const options = {
             }
           }
         }
+      },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          description: 'Unique key per logical request; retries with the same key replay the original response instead of sending again',
+          schema: {
+            type: 'string',
+            maxLength: 255,
+            example: 'order-1234-welcome'
+          }
+        }
       }
     }
   },
@@ -1,26 +1,158 @@
 const express = require('express');
 const router = express.Router();
 const emailService = require('../../services/emailService');
+const validationService = require('../../utils/validation');
 const logger = require('../../utils/logger');
 
+// Account management errors carry a code that decides the response status
+const ERROR_STATUS = {
+  EACCOUNTNOTFOUND: 404,
+  EACCOUNTREADONLY: 409,
+  EVERIFYFAILED: 422,
+  ENOENCRYPTIONKEY: 503
+};
+
 /**
  * @swagger
  * /api/email/accounts:
  *   get:
  *     summary: Thông tin tài khoản email
- *     description: Liệt kê trạng thái các tài khoản cấu hình (sẵn sàng, giới hạn ngày, còn lại...).
+ *     description: Liệt kê trạng thái các tài khoản cấu hình (Gmail hoặc SMTP tùy chỉnh) gồm provider, host, sẵn sàng, giới hạn ngày, còn lại... Mỗi tài khoản có thêm throttle (token bucket perSecond/perHour/perDay với limit, per, available); domainThrottles liệt kê giới hạn theo domain người nhận (DOMAIN_RATE_LIMITS) và bucket hiện tại của từng domain. health cho biết trạng thái circuit breaker của tài khoản (healthy, unhealthy tới unhealthyUntil, recovering), số lỗi liên tiếp và lỗi cuối.
  *     tags: [Accounts]
  *     responses:
  *       200: { description: OK }
  */
 router.get('/accounts', async (req, res) => {
   try {
-    const accounts = emailService.getEmailAccountsStatus();
-    res.json({ success: true, accounts, totalAccounts: accounts.length, availableAccounts: accounts.filter(acc => acc.isAvailable).length });
+    const accounts = await emailService.getEmailAccountsStatus();
+    res.json({
+      success: true,
+      accounts,
+      totalAccounts: accounts.length,
+      availableAccounts: accounts.filter(acc => acc.isAvailable).length,
+      unhealthyAccounts: accounts.filter(acc => acc.health.state === 'unhealthy').length,
+      domainThrottles: emailService.getDomainThrottleStatus()
+    });
   } catch (err) {
     logger.error('Get accounts status failed:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/email/accounts:
+ *   post:
+ *     summary: Thêm tài khoản gửi
+ *     description: Thêm tài khoản gửi khi server đang chạy (cùng các trường như một mục trong EMAIL_ACCOUNTS_FILE). Tài khoản enabled được kiểm tra bằng transporter.verify() trước khi đưa vào vòng gửi. Thông tin đăng nhập (auth) được mã hóa AES-256-GCM bằng ACCOUNT_ENCRYPTION_KEY khi lưu.
+ *     tags: [Accounts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               service: { type: string, example: gmail }
+ *               host: { type: string, example: smtp.office365.com }
+ *               port: { type: integer, example: 587 }
+ *               secure: { type: boolean }
+ *               requireTLS: { type: boolean }
+ *               ignoreTLS: { type: boolean }
+ *               tls: { type: object, properties: { rejectUnauthorized: { type: boolean } } }
+ *               auth:
+ *                 type: object
+ *                 properties:
+ *                   user: { type: string }
+ *                   pass: { type: string }
+ *               authMethod: { type: string, example: LOGIN }
+ *               from: { type: string, format: email }
+ *               pool: { type: object, properties: { enabled: { type: boolean }, maxConnections: { type: integer }, maxMessages: { type: integer }, rateLimit: { type: integer } } }
+ *               dailyLimit: { type: integer }
+ *               rateLimits: { type: object, properties: { perSecond: { type: integer }, perHour: { type: integer }, perDay: { type: integer } } }
+ *               enabled: { type: boolean, default: true }
+ *     responses:
+ *       201: { description: Đã thêm tài khoản }
+ *       400: { description: Lỗi validation }
+ *       422: { description: Kiểm tra kết nối SMTP thất bại }
+ *       503: { description: Chưa cấu hình ACCOUNT_ENCRYPTION_KEY }
+ */
+router.post('/accounts', async (req, res) => {
+  try {
+    const { error, value } = validationService.validateAccount(req.body);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const account = await emailService.addEmailAccount(value);
+    res.status(201).json({ success: true, account });
+  } catch (err) {
+    logger.error('Add email account failed:', err);
+    res.status(ERROR_STATUS[err.code] || 500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/accounts/{accountId}:
+ *   put:
+ *     summary: Cập nhật hoặc tạm tắt tài khoản gửi
+ *     description: Cập nhật một phần các trường của tài khoản thêm qua API; enabled=false để tạm tắt. Khi đổi cấu hình kết nối hoặc bật lại, tài khoản được verify trước khi dùng; transporter cũ được đóng sau khi các lần gửi đang chạy kết thúc. Tài khoản cấu hình qua env hoặc file không sửa được (409).
+ *     tags: [Accounts]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200: { description: Đã cập nhật }
+ *       400: { description: Lỗi validation }
+ *       404: { description: Không tìm thấy tài khoản }
+ *       409: { description: Tài khoản cấu hình qua env hoặc file }
+ *       422: { description: Kiểm tra kết nối SMTP thất bại }
+ *       503: { description: Chưa cấu hình ACCOUNT_ENCRYPTION_KEY }
+ */
+router.put('/accounts/:accountId', async (req, res) => {
+  try {
+    const { error, value } = validationService.validateAccountUpdate(req.body);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const account = await emailService.updateEmailAccount(req.params.accountId, value);
+    res.json({ success: true, account });
+  } catch (err) {
+    logger.error('Update email account failed:', err);
+    res.status(ERROR_STATUS[err.code] || 500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/accounts/{accountId}:
+ *   delete:
+ *     summary: Xóa tài khoản gửi
+ *     description: Gỡ tài khoản thêm qua API khỏi vòng gửi và xóa thông tin đã lưu; pool kết nối được đóng sau khi các lần gửi đang chạy kết thúc.
+ *     tags: [Accounts]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Đã xóa }
+ *       404: { description: Không tìm thấy tài khoản }
+ *       409: { description: Tài khoản cấu hình qua env hoặc file }
+ */
+router.delete('/accounts/:accountId', async (req, res) => {
+  try {
+    await emailService.removeEmailAccount(req.params.accountId);
+    res.json({ success: true, message: `Email account ${req.params.accountId} removed` });
+  } catch (err) {
+    logger.error('Remove email account failed:', err);
+    res.status(ERROR_STATUS[err.code] || 500).json({ success: false, error: err.message });
+  }
+});
+
 module.exports = router;
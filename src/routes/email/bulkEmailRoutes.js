@@ -3,6 +3,8 @@ const router = express.Router();
 const validationService = require('../../utils/validation');
 const { getQueueService } = require('../../services/queueService');
 const { validateTemplate } = require('../../utils/templateEngine');
+const { dedupeRecipients } = require('../../utils/recipients');
+const idempotency = require('../../utils/idempotency');
 const logger = require('../../utils/logger');
 
 /**
@@ -10,8 +12,10 @@ const logger = require('../../utils/logger');
  * /api/email/send-bulk:
  *   post:
  *     summary: Gửi email hàng loạt
- *     description: Gửi email đến nhiều người nhận với template và personalization. Job được xử lý nền qua queue.
+ *     description: Gửi email đến nhiều người nhận với template và personalization. Job được xử lý nền qua queue. Địa chỉ trùng lặp (không phân biệt hoa thường, bỏ khoảng trắng) bị loại trước khi tạo job, giữ lại lần xuất hiện đầu tiên; response trả về duplicatesRemoved và duplicates.
  *     tags: [Email]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -30,6 +34,7 @@ const logger = require('../../utils/logger');
  *                     email: { type: string, format: email }
  *                     firstName: { type: string }
  *                     lastName: { type: string }
+ *                     timezone: { type: string, description: Múi giờ IANA của người nhận (dùng với recipientLocalTime), example: Asia/Tokyo }
  *                     customData: { type: object, additionalProperties: true }
  *               template:
  *                 type: object
@@ -44,6 +49,32 @@ const logger = require('../../utils/logger');
  *                   senderName: { type: string }
  *                   replyTo: { type: string, format: email }
  *                   priority: { type: integer, minimum: 0, maximum: 10, example: 5 }
+ *                   delay: { type: integer, description: Delay (ms) trước khi gửi }
+ *                   batchSize: { type: integer, minimum: 1, maximum: 1000, description: "Số người nhận mỗi job con (1 = mỗi người nhận một job). Mặc định BULK_BATCH_SIZE", example: 50 }
+ *                   sendAt: { type: string, description: "Thời điểm gửi ISO 8601. Có offset là thời điểm tuyệt đối; không có offset thì hiểu theo timezone", example: "2025-01-15T09:00" }
+ *                   timezone: { type: string, description: Múi giờ IANA để hiểu sendAt, example: Asia/Ho_Chi_Minh }
+ *                   retry:
+ *                     type: object
+ *                     description: "Chính sách retry của job; chỉ lỗi tạm thời (SMTP 4xx, timeout, mất kết nối) mới được thử lại"
+ *                     properties:
+ *                       attempts: { type: integer, minimum: 1, maximum: 10, example: 5 }
+ *                       backoff: { type: string, enum: [fixed, exponential] }
+ *                       delay: { type: integer, description: Delay cơ sở (ms), example: 10000 }
+ *                       maxDelay: { type: integer, description: Delay tối đa (ms), example: 600000 }
+ *                   tags:
+ *                     type: array
+ *                     maxItems: 20
+ *                     items: { type: string, maxLength: 50 }
+ *                     description: Nhãn để phân loại job (sản phẩm, team, chiến dịch); lọc được ở /jobs và /queue/stats
+ *                     example: [newsletter, team-growth]
+ *                   metadata:
+ *                     type: object
+ *                     additionalProperties: true
+ *                     description: Dữ liệu tùy ý (tối đa 50 khóa, 4096 ký tự JSON), trả về cùng trạng thái job và ghi vào nhật ký gửi
+ *                     example: { campaignId: cmp_123, owner: growth }
+ *                   campaignKey: { type: string, maxLength: 200, description: "Khóa chiến dịch; người nhận đã được gửi thành công bởi job trước với cùng khóa sẽ bị bỏ qua (skipped)", example: spring-sale-2025 }
+ *                   accountStrategy: { type: string, enum: [round-robin, least-used, weighted, sticky-domain], description: "Chiến lược chọn tài khoản gửi cho job này (ghi đè ACCOUNT_SELECTION_STRATEGY)" }
+ *                   recipientLocalTime: { type: boolean, description: "Gửi lúc sendAt theo giờ địa phương của từng người nhận (recipient.timezone); tạo một job cho mỗi múi giờ" }
  *     responses:
  *       200:
  *         description: Job bulk đã được thêm vào queue
@@ -51,21 +82,30 @@ const logger = require('../../utils/logger');
  *         description: Lỗi validation
  *       503:
  *         description: Queue service không khả dụng
+ *       409:
+ *         description: Request cùng Idempotency-Key đang được xử lý
+ *       422:
+ *         description: Idempotency-Key đã được dùng cho một request khác
  *       500:
  *         description: Lỗi server
  */
-router.post('/send-bulk', async (req, res) => {
+router.post('/send-bulk', idempotency, async (req, res) => {
   try {
     const queueService = getQueueService();
     if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
     const { error, value } = validationService.validateBulkEmail(req.body);
     if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
-    const { recipients, template, options = {} } = value;
+    const { template, options = {} } = value;
+    const { recipients, duplicates } = dedupeRecipients(value.recipients);
     if (template.html) template.html = validationService.sanitizeEmailContent(template.html);
     const templateValidation = validateTemplate(template.subject);
     if (!templateValidation.valid) return res.status(400).json({ error: 'Template validation failed', details: templateValidation.error });
+    if (options.recipientLocalTime) {
+      const jobs = await queueService.addLocalTimeBulkEmailJobs(recipients, template, options);
+      return res.json({ success: true, jobId: jobs[0].id, jobs, recipients: recipients.length, duplicatesRemoved: duplicates.length, duplicates, message: `Bulk email scheduled in ${jobs.length} time zone(s)`, queueType: queueService.getQueueType() });
+    }
     const job = await queueService.addBulkEmailJob(recipients, template, options);
-    res.json({ success: true, jobId: job.id, recipients: recipients.length, message: 'Bulk email job added to queue', estimatedProcessingTime: `${Math.ceil(recipients.length * 1.5 / 60)} minutes`, queueType: queueService.getQueueType() });
+    res.json({ success: true, jobId: job.id, sendAt: job.sendAt, recipients: recipients.length, duplicatesRemoved: duplicates.length, duplicates, message: job.sendAt ? 'Bulk email job scheduled' : 'Bulk email job added to queue', estimatedProcessingTime: `${Math.ceil(recipients.length * 1.5 / 60)} minutes`, queueType: queueService.getQueueType() });
   } catch (err) {
     logger.error('Bulk email job creation failed:', err);
     res.status(500).json({ success: false, error: err.message });
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const validationService = require('../../utils/validation');
 const { getQueueService } = require('../../services/queueService');
+const idempotency = require('../../utils/idempotency');
 const logger = require('../../utils/logger');
 
 /**
@@ -9,8 +10,10 @@ const logger = require('../../utils/logger');
  * /api/email/send-queued:
  *   post:
  *     summary: Gửi email đơn lẻ qua queue
- *     description: Thêm email đơn lẻ vào queue để xử lý nền, hỗ trợ priority và delay.
+ *     description: Thêm email đơn lẻ vào queue để xử lý nền, hỗ trợ priority, delay và hẹn giờ gửi (sendAt + timezone).
  *     tags: [Email]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -28,6 +31,27 @@ const logger = require('../../utils/logger');
  *                 properties:
  *                   priority: { type: integer, minimum: 0, maximum: 10, example: 5 }
  *                   delay: { type: integer, description: Delay (ms) trước khi gửi, example: 3000 }
+ *                   sendAt: { type: string, description: "Thời điểm gửi ISO 8601. Có offset (Z, +07:00) là thời điểm tuyệt đối; không có offset thì hiểu theo timezone", example: "2025-01-15T09:00" }
+ *                   timezone: { type: string, description: Múi giờ IANA để hiểu sendAt, example: Asia/Ho_Chi_Minh }
+ *                   retry:
+ *                     type: object
+ *                     description: "Chính sách retry của job; chỉ lỗi tạm thời (SMTP 4xx, timeout, mất kết nối) mới được thử lại"
+ *                     properties:
+ *                       attempts: { type: integer, minimum: 1, maximum: 10, example: 5 }
+ *                       backoff: { type: string, enum: [fixed, exponential] }
+ *                       delay: { type: integer, description: Delay cơ sở (ms), example: 10000 }
+ *                       maxDelay: { type: integer, description: Delay tối đa (ms), example: 600000 }
+ *                   tags:
+ *                     type: array
+ *                     maxItems: 20
+ *                     items: { type: string, maxLength: 50 }
+ *                     description: Nhãn để phân loại job (sản phẩm, team, chiến dịch); lọc được ở /jobs và /queue/stats
+ *                     example: [newsletter, team-growth]
+ *                   metadata:
+ *                     type: object
+ *                     additionalProperties: true
+ *                     description: Dữ liệu tùy ý (tối đa 50 khóa, 4096 ký tự JSON), trả về cùng trạng thái job và ghi vào nhật ký gửi
+ *                     example: { campaignId: cmp_123, owner: growth }
  *     responses:
  *       200:
  *         description: Job đã được thêm vào queue
@@ -35,18 +59,23 @@ const logger = require('../../utils/logger');
  *         description: Lỗi validation
  *       503:
  *         description: Queue service không khả dụng
+ *       409:
+ *         description: Request cùng Idempotency-Key đang được xử lý
+ *       422:
+ *         description: Idempotency-Key đã được dùng cho một request khác
  *       500:
  *         description: Lỗi server
  */
-router.post('/send-queued', async (req, res) => {
+router.post('/send-queued', idempotency, async (req, res) => {
   try {
     const queueService = getQueueService();
     if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
-    const { error, value } = validationService.validateSingleEmail(req.body);
+    const { error, value } = validationService.validateQueuedEmail(req.body);
     if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
-    if (value.html) value.html = validationService.sanitizeEmailContent(value.html);
-    const job = await queueService.addSingleEmailJob(value, req.body.options || {});
-    res.json({ success: true, jobId: job.id, message: 'Single email job added to queue' });
+    const { options = {}, ...emailData } = value;
+    if (emailData.html) emailData.html = validationService.sanitizeEmailContent(emailData.html);
+    const job = await queueService.addSingleEmailJob(emailData, options);
+    res.json({ success: true, jobId: job.id, sendAt: job.sendAt, message: job.sendAt ? 'Single email job scheduled' : 'Single email job added to queue' });
   } catch (err) {
     logger.error('Queued single email failed:', err);
     res.status(500).json({ success: false, error: err.message });
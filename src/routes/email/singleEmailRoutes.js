@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const validationService = require('../../utils/validation');
 const emailService = require('../../services/emailService');
+const idempotency = require('../../utils/idempotency');
 const logger = require('../../utils/logger');
 
 /**
@@ -11,6 +12,8 @@ const logger = require('../../utils/logger');
  *     summary: Gửi email đơn lẻ
  *     description: Gửi một email đến một người nhận. Hỗ trợ HTML hoặc text. Ít nhất một trong html/text phải có.
  *     tags: [Email]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -60,10 +63,14 @@ const logger = require('../../utils/logger');
  *                   items: { type: string }
  *       400:
  *         description: Lỗi validation
+ *       409:
+ *         description: Request cùng Idempotency-Key đang được xử lý
+ *       422:
+ *         description: Idempotency-Key đã được dùng cho một request khác
  *       500:
  *         description: Lỗi server
  */
-router.post('/send', async (req, res) => {
+router.post('/send', idempotency, async (req, res) => {
   try {
     const { error, value } = validationService.validateSingleEmail(req.body);
     if (error) {
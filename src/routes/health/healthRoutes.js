@@ -9,7 +9,7 @@ const logger = require('../../utils/logger');
  * /api/email/health:
  *   get:
  *     summary: Kiểm tra tình trạng dịch vụ email
- *     description: Trả về trạng thái kết nối email, queue và tài khoản.
+ *     description: Trả về trạng thái kết nối email, queue (kể cả paused/pausedAt) và tài khoản, kèm accountHealth (số tài khoản healthy/recovering/unhealthy theo circuit breaker).
  *     tags: [Health]
  *     responses:
  *       200:
@@ -20,10 +20,12 @@ const logger = require('../../utils/logger');
 router.get('/health', async (req, res) => {
   try {
     const connectionTest = await emailService.testEmailConnection();
-    const accountsStatus = emailService.getEmailAccountsStatus();
+    const accountsStatus = await emailService.getEmailAccountsStatus();
     const queueService = getQueueService();
     const queueStats = queueService ? await queueService.getQueueStats() : { error: 'Queue not initialized' };
-    res.json({ status: 'OK', timestamp: new Date().toISOString(), emailConnections: connectionTest, accounts: accountsStatus, queue: queueStats, queueType: queueService ? queueService.getQueueType() : 'none' });
+    const accountHealth = { healthy: 0, recovering: 0, unhealthy: 0 };
+    accountsStatus.forEach(account => { accountHealth[account.health.state]++; });
+    res.json({ status: 'OK', timestamp: new Date().toISOString(), emailConnections: connectionTest, accounts: accountsStatus, accountHealth, queue: queueStats, queueType: queueService ? queueService.getQueueType() : 'none' });
   } catch (err) {
     logger.error('Email health check failed:', err);
     res.status(500).json({ status: 'ERROR', error: err.message, timestamp: new Date().toISOString() });
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const validationService = require('../../utils/validation');
+const { getQueueService } = require('../../services/queueService');
+const logger = require('../../utils/logger');
+
+/**
+ * @swagger
+ * /api/email/dead-letter:
+ *   get:
+ *     summary: Danh sách job thất bại (dead-letter)
+ *     description: Liệt kê các job đã dùng hết số lần thử, kèm lỗi cuối cùng và lịch sử từng lần thử. Job bị hủy hoặc tạm dừng không nằm trong danh sách.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [single-email, bulk-email, bulk-batch] }
+ *       - in: query
+ *         name: error
+ *         schema: { type: string }
+ *         description: Lọc theo nội dung lỗi (không phân biệt hoa thường)
+ *       - in: query
+ *         name: failedAfter
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: failedBefore
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 500, default: 50 }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { description: Lỗi validation }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/dead-letter', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateDeadLetterQuery(req.query);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const { jobs, pagination } = await queueService.listDeadLetters(value);
+    res.json({ success: true, jobs, pagination });
+  } catch (err) {
+    logger.error('List dead-letter jobs failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/dead-letter/requeue:
+ *   post:
+ *     summary: Đưa lại vào queue các job thất bại theo bộ lọc
+ *     description: Mọi job dead-letter khớp bộ lọc được chạy lại với số lần thử mới. Body rỗng sẽ đưa lại tất cả.
+ *     tags: [Queue]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type: { type: string, enum: [single-email, bulk-email, bulk-batch] }
+ *               error: { type: string }
+ *               failedAfter: { type: string, format: date-time }
+ *               failedBefore: { type: string, format: date-time }
+ *     responses:
+ *       200: { description: Các job đã được đưa lại vào queue }
+ *       400: { description: Lỗi validation }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.post('/dead-letter/requeue', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateDeadLetterFilter(req.body || {});
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const jobIds = await queueService.requeueDeadLetters(value);
+    res.json({ success: true, requeued: jobIds.length, jobIds, message: `${jobIds.length} dead-letter jobs requeued` });
+  } catch (err) {
+    logger.error('Requeue dead-letter jobs failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/dead-letter/{jobId}/requeue:
+ *   post:
+ *     summary: Đưa lại một job thất bại vào queue
+ *     description: Job bulk con tiếp tục từ checkpoint; job bulk cha được mở lại cho đến khi job con kết thúc.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Job đã được đưa lại vào queue }
+ *       400: { description: Job không nằm trong dead-letter queue }
+ *       404: { description: Job không tìm thấy }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.post('/dead-letter/:jobId/requeue', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const jobId = await queueService.requeueDeadLetter(req.params.jobId);
+    res.json({ success: true, jobId, message: `Job ${jobId} requeued` });
+  } catch (err) {
+    logger.error('Requeue dead-letter job failed:', err);
+    res.status(err.message.includes('not found') ? 404 : 400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/dead-letter:
+ *   delete:
+ *     summary: Xóa các job thất bại
+ *     description: Xóa vĩnh viễn các job dead-letter khớp bộ lọc (không có bộ lọc thì xóa tất cả). Nhật ký gửi của job vẫn được giữ.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [single-email, bulk-email, bulk-batch] }
+ *       - in: query
+ *         name: error
+ *         schema: { type: string }
+ *       - in: query
+ *         name: failedAfter
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: failedBefore
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200: { description: Đã xóa }
+ *       400: { description: Lỗi validation }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.delete('/dead-letter', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateDeadLetterFilter(req.query);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const purged = await queueService.purgeDeadLetters(value);
+    res.json({ success: true, purged, message: `${purged} dead-letter jobs purged` });
+  } catch (err) {
+    logger.error('Purge dead-letter jobs failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getQueueService } = require('../../services/queueService');
+const validationService = require('../../utils/validation');
 const logger = require('../../utils/logger');
 
 /**
@@ -8,17 +9,24 @@ const logger = require('../../utils/logger');
  * /api/email/queue/stats:
  *   get:
  *     summary: Thống kê queue
- *     description: Lấy thống kê số lượng job theo trạng thái.
+ *     description: Lấy thống kê số lượng job theo trạng thái (waiting, active, delayed, completed, failed). Job có delay/sendAt ở trạng thái delayed cho đến giờ gửi, với cả memory queue và Redis. paused/pausedAt cho biết queue có đang tạm dừng và từ lúc nào. Lọc theo tag để chỉ đếm các job mang tag đó.
  *     tags: [Queue]
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         schema: { type: string }
  *     responses:
  *       200: { description: OK }
+ *       400: { description: Lỗi validation }
  *       503: { description: Queue service không khả dụng }
  */
 router.get('/queue/stats', async (req, res) => {
   try {
     const queueService = getQueueService();
     if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
-    const stats = await queueService.getQueueStats();
+    const { error, value } = validationService.validateQueueStatsQuery(req.query);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const stats = await queueService.getQueueStats(value);
     res.json({ success: true, queue: stats, timestamp: new Date().toISOString() });
   } catch (err) {
     logger.error('Get queue stats failed:', err);
@@ -26,11 +34,139 @@ router.get('/queue/stats', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/email/jobs:
+ *   get:
+ *     summary: Tìm kiếm job
+ *     description: Liệt kê job ở mọi trạng thái với bộ lọc, phân trang và sắp xếp. Job con của bulk chỉ xuất hiện khi lọc type=bulk-batch hoặc parentId.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema: { type: string, enum: [waiting, active, delayed, paused, completed, failed] }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [single-email, bulk-email, bulk-batch] }
+ *       - in: query
+ *         name: createdFrom
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: createdTo
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: tag
+ *         schema: { type: string }
+ *       - in: query
+ *         name: senderName
+ *         schema: { type: string }
+ *         description: Lọc theo tên người gửi (chứa chuỗi, không phân biệt hoa thường)
+ *       - in: query
+ *         name: parentId
+ *         schema: { type: string }
+ *         description: Liệt kê job con của một job bulk
+ *       - in: query
+ *         name: sortBy
+ *         schema: { type: string, enum: [createdAt, finishedAt, priority], default: createdAt }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc], default: desc }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 500, default: 50 }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { description: Lỗi validation }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateJobListQuery(req.query);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const { jobs, pagination } = await queueService.listJobs(value);
+    res.json({ success: true, jobs, pagination });
+  } catch (err) {
+    logger.error('List jobs failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/jobs/scheduled:
+ *   get:
+ *     summary: Danh sách job đã hẹn giờ
+ *     description: Liệt kê các job đang chờ đến thời điểm gửi (sendAt/delay).
+ *     tags: [Queue]
+ *     responses:
+ *       200: { description: OK }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/jobs/scheduled', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const jobs = await queueService.listScheduledJobs();
+    jobs.sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+    res.json({ success: true, jobs, total: jobs.length });
+  } catch (err) {
+    logger.error('List scheduled jobs failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/job/{jobId}/schedule:
+ *   patch:
+ *     summary: Đổi thời điểm gửi của job
+ *     description: Chỉ áp dụng cho job chưa chạy (delayed hoặc waiting).
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sendAt]
+ *             properties:
+ *               sendAt: { type: string, example: "2025-01-15T09:00" }
+ *               timezone: { type: string, example: Asia/Ho_Chi_Minh }
+ *     responses:
+ *       200: { description: Đã đổi lịch }
+ *       400: { description: Lỗi validation hoặc job đã chạy }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.patch('/job/:jobId/schedule', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateReschedule(req.body);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const job = await queueService.rescheduleJob(req.params.jobId, value.sendAt, value.timezone);
+    res.json({ success: true, job, message: `Job ${req.params.jobId} rescheduled` });
+  } catch (err) {
+    logger.error('Reschedule job failed:', err);
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/email/job/{jobId}:
  *   get:
  *     summary: Kiểm tra trạng thái job
+ *     description: Với job bulk, trường checkpoint cho biết vị trí con trỏ (cursor) và số người nhận đã gửi/lỗi/bỏ qua. Khi job được retry hoặc server khởi động lại, job tiếp tục từ người nhận chưa gửi đầu tiên. Job bulk được tách thành các job con (bulk-batch); job cha tổng hợp trạng thái, tiến độ và kết quả từ các job con (trường children), job con có parentId.
  *     tags: [Queue]
  *     parameters:
  *       - in: path
@@ -55,11 +191,170 @@ router.get('/job/:jobId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/email/job/{jobId}/events:
+ *   get:
+ *     summary: Theo dõi job theo thời gian thực (Server-Sent Events)
+ *     description: |
+ *       Mở luồng SSE. Sự kiện đầu tiên (status) là trạng thái hiện tại của job, sau đó server đẩy các sự kiện state (đổi trạng thái), progress (tiến độ) và recipient (kết quả từng người nhận). Với job bulk cha, sự kiện của các job con cũng được gửi kèm (jobId là id job con, parentId là id job cha). Luồng tự đóng khi job kết thúc (completed, failed hoặc removed).
+ *       Khi dùng Redis, sự kiện chỉ đến từ instance đang xử lý job.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Luồng sự kiện
+ *         content:
+ *           text/event-stream:
+ *             schema: { type: string }
+ *       404: { description: Job không tìm thấy }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/job/:jobId/events', async (req, res) => {
+  const queueService = getQueueService();
+  if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+  const { jobId } = req.params;
+
+  // Subscribe before reading the status so no event falls in between
+  const buffered = [];
+  let send = event => buffered.push(event);
+  const unsubscribe = queueService.subscribeJobEvents(jobId, event => send(event));
+
+  let status;
+  try {
+    status = await queueService.getJobStatus(jobId);
+  } catch (err) {
+    unsubscribe();
+    return res.status(404).json({ success: false, error: err.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx would otherwise hold events back
+  });
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  const isFinal = state => ['completed', 'failed', 'removed'].includes(state);
+
+  send = (event) => {
+    if (closed) return;
+    res.write(`event: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.event === 'state' && event.jobId === String(jobId) && isFinal(event.state)) {
+      close();
+    }
+  };
+
+  res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+  if (isFinal(status.state)) return close();
+  buffered.forEach(event => send(event));
+  req.on('close', close);
+});
+
+/**
+ * @swagger
+ * /api/email/job/{jobId}/recipients:
+ *   get:
+ *     summary: Nhật ký gửi theo từng người nhận
+ *     description: Mỗi người nhận của job có một bản ghi (tài khoản gửi, messageId, phản hồi SMTP, trạng thái, số lần thử, thời gian). Bản ghi vẫn còn sau khi job bị dọn khỏi lịch sử queue.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [sent, failed, skipped, cancelled] }
+ *       - in: query
+ *         name: recipient
+ *         schema: { type: string }
+ *         description: Lọc theo địa chỉ email (khớp một phần, không phân biệt hoa thường)
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 500 }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { description: Lỗi validation }
+ *       404: { description: Job không tìm thấy }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/job/:jobId/recipients', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateDeliveryQuery(req.query);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const { records, pagination } = await queueService.getJobRecipients(req.params.jobId, value);
+    res.json({ success: true, jobId: req.params.jobId, recipients: records, pagination });
+  } catch (err) {
+    logger.error('Get job recipients failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/job/{jobId}/retry-failed:
+ *   post:
+ *     summary: Gửi lại cho người nhận bị lỗi
+ *     description: Tạo job bulk mới chỉ gồm những người nhận gửi thất bại của job đã kết thúc, dùng lại template và options của job gốc. Hai job được liên kết qua retryOf/retries.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Job retry đã được thêm vào queue }
+ *       400: { description: Job không phải bulk hoặc không có người nhận lỗi }
+ *       404: { description: Job không tìm thấy }
+ *       409: { description: Job chưa kết thúc }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.post('/job/:jobId/retry-failed', async (req, res) => {
+  const queueService = getQueueService();
+  if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+  let status;
+  try {
+    status = await queueService.getJobStatus(req.params.jobId);
+  } catch (err) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (status.type !== 'bulk-email') return res.status(400).json({ success: false, error: 'Only bulk email jobs can be retried' });
+  if (!['completed', 'failed'].includes(status.state)) return res.status(409).json({ success: false, error: `Job ${req.params.jobId} is still ${status.state}` });
+  try {
+    const retry = await queueService.retryFailedRecipients(req.params.jobId);
+    if (!retry) return res.status(400).json({ success: false, error: 'Job has no failed recipients' });
+    res.json({ success: true, jobId: retry.id, retryOf: req.params.jobId, recipients: retry.recipients, message: 'Retry job for failed recipients added to queue', queueType: queueService.getQueueType() });
+  } catch (err) {
+    logger.error('Retry failed recipients failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/email/job/{jobId}:
  *   delete:
  *     summary: Hủy job
+ *     description: Job chưa chạy bị xóa khỏi queue. Job bulk đang chạy dừng trước người nhận kế tiếp, những người nhận chưa gửi được ghi vào nhật ký gửi với trạng thái cancelled. Hủy job bulk cha sẽ hủy tất cả job con.
  *     tags: [Queue]
  *     parameters:
  *       - in: path
@@ -83,11 +378,70 @@ router.delete('/job/:jobId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/email/job/{jobId}/pause:
+ *   post:
+ *     summary: Tạm dừng một job
+ *     description: Job chưa chạy được giữ lại trong queue. Job bulk đang chạy dừng trước người nhận kế tiếp và giữ checkpoint. Tạm dừng job bulk cha sẽ tạm dừng tất cả job con.
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Job đã tạm dừng }
+ *       400: { description: Job không tìm thấy hoặc không thể tạm dừng ở trạng thái hiện tại }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.post('/job/:jobId/pause', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const job = await queueService.pauseJob(req.params.jobId);
+    res.json({ success: true, job, message: `Job ${req.params.jobId} paused` });
+  } catch (err) {
+    logger.error('Pause job failed:', err);
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/job/{jobId}/resume:
+ *   post:
+ *     summary: Tiếp tục một job đã tạm dừng
+ *     description: Job bulk tiếp tục từ người nhận chưa gửi đầu tiên (checkpoint).
+ *     tags: [Queue]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Job đã tiếp tục }
+ *       400: { description: Job không tìm thấy hoặc không ở trạng thái tạm dừng }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.post('/job/:jobId/resume', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const job = await queueService.resumeJob(req.params.jobId);
+    res.json({ success: true, job, message: `Job ${req.params.jobId} resumed` });
+  } catch (err) {
+    logger.error('Resume job failed:', err);
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/email/queue/pause:
  *   post:
  *     summary: Tạm dừng queue
+ *     description: Queue ngừng nhận job mới để xử lý, job đang chạy vẫn chạy xong. Gọi lại khi queue đã tạm dừng không thay đổi gì; trạng thái tạm dừng được giữ sau khi server khởi động lại.
  *     tags: [Queue]
  *     responses:
  *       200: { description: Queue paused }
@@ -97,8 +451,8 @@ router.post('/queue/pause', async (req, res) => {
   try {
     const queueService = getQueueService();
     if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
-    await queueService.pauseQueue();
-    res.json({ success: true, message: 'Email queue paused' });
+    const state = await queueService.pauseQueue();
+    res.json({ success: true, message: 'Email queue paused', ...state });
   } catch (err) {
     logger.error('Pause queue failed:', err);
     res.status(500).json({ success: false, error: err.message });
@@ -119,8 +473,8 @@ router.post('/queue/resume', async (req, res) => {
   try {
     const queueService = getQueueService();
     if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
-    await queueService.resumeQueue();
-    res.json({ success: true, message: 'Email queue resumed' });
+    const state = await queueService.resumeQueue();
+    res.json({ success: true, message: 'Email queue resumed', ...state });
   } catch (err) {
     logger.error('Resume queue failed:', err);
     res.status(500).json({ success: false, error: err.message });
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const validationService = require('../../utils/validation');
+const { getQueueService } = require('../../services/queueService');
+const { validateTemplate } = require('../../utils/templateEngine');
+const logger = require('../../utils/logger');
+
+/**
+ * @swagger
+ * /api/email/schedules:
+ *   get:
+ *     summary: Danh sách chiến dịch định kỳ
+ *     description: Liệt kê các lịch gửi định kỳ (cron) cùng thời điểm chạy kế tiếp và lịch sử các lần chạy.
+ *     tags: [Schedules]
+ *     responses:
+ *       200: { description: OK }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/schedules', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const schedules = await queueService.listSchedules();
+    res.json({ success: true, schedules, total: schedules.length });
+  } catch (err) {
+    logger.error('List schedules failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/schedules:
+ *   post:
+ *     summary: Tạo chiến dịch định kỳ
+ *     description: Mỗi lần cron đến hạn, server tạo một job bulk với template, danh sách người nhận (inline hoặc file CSV trên server) và options đã cấu hình.
+ *     tags: [Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, cron, template]
+ *             properties:
+ *               name: { type: string, example: Weekly newsletter }
+ *               cron: { type: string, example: "0 9 * * MON" }
+ *               timezone: { type: string, example: Asia/Ho_Chi_Minh }
+ *               template:
+ *                 type: object
+ *                 required: [subject]
+ *                 properties:
+ *                   subject: { type: string }
+ *                   html: { type: string }
+ *                   text: { type: string }
+ *               recipients:
+ *                 type: array
+ *                 items: { $ref: '#/components/schemas/EmailRecipient' }
+ *               recipientSource:
+ *                 type: object
+ *                 description: Dùng thay cho recipients - đọc lại file CSV ở mỗi lần chạy
+ *                 properties:
+ *                   type: { type: string, enum: [csv] }
+ *                   path: { type: string, example: lists/newsletter.csv, description: Đường dẫn tương đối trong thư mục uploads/ }
+ *                   emailColumn: { type: string, default: email }
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   senderName: { type: string }
+ *                   replyTo: { type: string, format: email }
+ *                   priority: { type: integer }
+ *               enabled: { type: boolean, default: true }
+ *     responses:
+ *       201: { description: Đã tạo lịch }
+ *       400: { description: Lỗi validation }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.post('/schedules', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateRecurringSchedule(req.body);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    if (value.template.html) value.template.html = validationService.sanitizeEmailContent(value.template.html);
+    const templateValidation = validateTemplate(value.template.subject);
+    if (!templateValidation.valid) return res.status(400).json({ error: 'Template validation failed', details: templateValidation.error });
+    const schedule = await queueService.createSchedule(value);
+    res.status(201).json({ success: true, schedule });
+  } catch (err) {
+    logger.error('Create schedule failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/schedules/{scheduleId}:
+ *   get:
+ *     summary: Chi tiết chiến dịch định kỳ
+ *     description: Gồm lịch sử các lần chạy (thời điểm và jobId của job bulk được tạo).
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Không tìm thấy lịch }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/schedules/:scheduleId', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const schedule = await queueService.getSchedule(req.params.scheduleId);
+    res.json({ success: true, schedule });
+  } catch (err) {
+    logger.error('Get schedule failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/schedules/{scheduleId}:
+ *   put:
+ *     summary: Cập nhật chiến dịch định kỳ
+ *     description: Cập nhật một phần các trường (cron, timezone, template, recipients/recipientSource, options, enabled).
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200: { description: Đã cập nhật }
+ *       400: { description: Lỗi validation }
+ *       404: { description: Không tìm thấy lịch }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.put('/schedules/:scheduleId', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateRecurringScheduleUpdate(req.body);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    if (value.template) {
+      if (value.template.html) value.template.html = validationService.sanitizeEmailContent(value.template.html);
+      const templateValidation = validateTemplate(value.template.subject);
+      if (!templateValidation.valid) return res.status(400).json({ error: 'Template validation failed', details: templateValidation.error });
+    }
+    const schedule = await queueService.updateSchedule(req.params.scheduleId, value);
+    res.json({ success: true, schedule });
+  } catch (err) {
+    logger.error('Update schedule failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/schedules/{scheduleId}:
+ *   delete:
+ *     summary: Xóa chiến dịch định kỳ
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Đã xóa }
+ *       404: { description: Không tìm thấy lịch }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.delete('/schedules/:scheduleId', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    await queueService.deleteSchedule(req.params.scheduleId);
+    res.json({ success: true, message: `Schedule ${req.params.scheduleId} deleted` });
+  } catch (err) {
+    logger.error('Delete schedule failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
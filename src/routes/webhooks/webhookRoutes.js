@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const validationService = require('../../utils/validation');
+const { getQueueService } = require('../../services/queueService');
+const logger = require('../../utils/logger');
+
+/**
+ * @swagger
+ * /api/email/webhooks:
+ *   get:
+ *     summary: Danh sách webhook
+ *     description: Liệt kê các webhook đã đăng ký (không kèm secret).
+ *     tags: [Webhooks]
+ *     responses:
+ *       200: { description: OK }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/webhooks', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const webhooks = await queueService.listWebhooks();
+    res.json({ success: true, webhooks, total: webhooks.length });
+  } catch (err) {
+    logger.error('List webhooks failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/webhooks:
+ *   post:
+ *     summary: Đăng ký webhook
+ *     description: Server gửi POST JSON tới url mỗi khi có sự kiện đã đăng ký. Mỗi request được ký HMAC-SHA256 bằng secret (header X-Webhook-Signature). Secret chỉ được trả về một lần trong response này; nếu không truyền, server tự tạo.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url: { type: string, format: uri, example: https://example.com/hooks/email }
+ *               events:
+ *                 type: array
+ *                 items: { type: string, enum: [job.completed, job.failed, recipient.sent, recipient.failed] }
+ *               secret: { type: string, minLength: 16 }
+ *               description: { type: string }
+ *               enabled: { type: boolean, default: true }
+ *     responses:
+ *       201: { description: Đã tạo webhook }
+ *       400: { description: Lỗi validation }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.post('/webhooks', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateWebhook(req.body);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const webhook = await queueService.createWebhook(value);
+    res.status(201).json({ success: true, webhook });
+  } catch (err) {
+    logger.error('Create webhook failed:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/webhooks/{webhookId}:
+ *   get:
+ *     summary: Chi tiết webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Không tìm thấy webhook }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/webhooks/:webhookId', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const webhook = await queueService.getWebhook(req.params.webhookId);
+    res.json({ success: true, webhook });
+  } catch (err) {
+    logger.error('Get webhook failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/webhooks/{webhookId}:
+ *   put:
+ *     summary: Cập nhật webhook
+ *     description: Cập nhật một phần các trường (url, events, secret, description, enabled).
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200: { description: Đã cập nhật }
+ *       400: { description: Lỗi validation }
+ *       404: { description: Không tìm thấy webhook }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.put('/webhooks/:webhookId', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateWebhookUpdate(req.body);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const webhook = await queueService.updateWebhook(req.params.webhookId, value);
+    res.json({ success: true, webhook });
+  } catch (err) {
+    logger.error('Update webhook failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Xóa webhook
+ *     description: Xóa webhook cùng nhật ký gửi của nó. Các lần retry đang chờ sẽ không được ghi lại.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Đã xóa }
+ *       404: { description: Không tìm thấy webhook }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.delete('/webhooks/:webhookId', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    await queueService.deleteWebhook(req.params.webhookId);
+    res.json({ success: true, message: `Webhook ${req.params.webhookId} deleted` });
+  } catch (err) {
+    logger.error('Delete webhook failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Nhật ký gửi webhook
+ *     description: Mỗi lần thử gửi một sự kiện là một bản ghi (mới nhất trước) gồm deliveryId, event, jobId, attempt, status (delivered/retrying/failed), responseStatus, error, durationMs.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 200, default: 50 }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { description: Lỗi validation }
+ *       404: { description: Không tìm thấy webhook }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.get('/webhooks/:webhookId/deliveries', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { error, value } = validationService.validateWebhookDeliveryQuery(req.query);
+    if (error) return res.status(400).json({ error: 'Validation failed', details: error.details.map(d => d.message) });
+    const { deliveries, pagination } = await queueService.listWebhookDeliveries(req.params.webhookId, value);
+    res.json({ success: true, deliveries, pagination });
+  } catch (err) {
+    logger.error('List webhook deliveries failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/webhooks/{webhookId}/test:
+ *   post:
+ *     summary: Gửi thử webhook
+ *     description: Gửi ngay một sự kiện webhook.test tới url của webhook để kiểm tra kết nối và chữ ký. Nếu lỗi, sự kiện được retry như các sự kiện khác.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Kết quả lần gửi đầu tiên }
+ *       404: { description: Không tìm thấy webhook }
+ *       503: { description: Queue service không khả dụng }
+ */
+router.post('/webhooks/:webhookId/test', async (req, res) => {
+  try {
+    const queueService = getQueueService();
+    if (!queueService) return res.status(503).json({ success: false, error: 'Queue service not available' });
+    const { deliveryId, delivered } = await queueService.testWebhook(req.params.webhookId);
+    res.json({ success: true, deliveryId, delivered });
+  } catch (err) {
+    logger.error('Test webhook failed:', err);
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
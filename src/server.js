@@ -20,6 +20,9 @@ const queueRoutes = require('./routes/queue/queueRoutes');
 const templateRoutes = require('./routes/templates/templateRoutes');
 const accountRoutes = require('./routes/accounts/accountRoutes');
 const healthRoutes = require('./routes/health/healthRoutes');
+const scheduleRoutes = require('./routes/schedules/scheduleRoutes');
+const deadLetterRoutes = require('./routes/queue/deadLetterRoutes');
+const webhookRoutes = require('./routes/webhooks/webhookRoutes');
 
 console.log('🛣️ Modular routes loaded');
 
@@ -67,6 +70,9 @@ app.use('/api/email', uploadRoutes);
 app.use('/api/email', queueRoutes);
 app.use('/api/email', templateRoutes);
 app.use('/api/email', accountRoutes);
+app.use('/api/email', scheduleRoutes);
+app.use('/api/email', deadLetterRoutes);
+app.use('/api/email', webhookRoutes);
 
 // Health root
 app.get('/health', (req, res) => {
@@ -129,4 +135,9 @@ async function startServer() {
 process.on('SIGTERM', () => { logger.info('SIGTERM received, shutting down gracefully'); process.exit(0); });
 process.on('SIGINT', () => { logger.info('SIGINT received, shutting down gracefully'); process.exit(0); });
 
-startServer();
+// Only listen when run directly; tests import the app and drive it with supertest
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+/**
+ * Sending accounts added through the API. Credentials (`auth`) are stored
+ * encrypted with AES-256-GCM under ACCOUNT_ENCRYPTION_KEY; the rest of the
+ * definition is kept as plain JSON in a local file, or in Redis when the
+ * Redis queue is active so every server instance loads the same accounts.
+ */
+class AccountStore {
+  constructor(filePath = process.env.ACCOUNT_STORE_PATH || path.join(process.cwd(), 'data', 'accounts.json')) {
+    this.filePath = filePath;
+    this.encryptionKey = process.env.ACCOUNT_ENCRYPTION_KEY || null;
+    this.records = new Map(); // account id -> stored record, credentials still encrypted
+    this.redis = null;
+  }
+
+  load() {
+    this.records.clear();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      try {
+        JSON.parse(fs.readFileSync(this.filePath, 'utf8')).forEach(record => this.records.set(record.id, record));
+      } catch (error) {
+        logger.error(`❌ Failed to read account store ${this.filePath}:`, error);
+      }
+    }
+
+    logger.info(`🔐 Account store loaded ${this.records.size} runtime accounts`);
+  }
+
+  /**
+   * Switch to Redis and load the accounts kept there. Accounts only in the
+   * local file are copied over the first time, when Redis has none yet.
+   */
+  async useRedis(client) {
+    this.redis = client;
+    const stored = await this.redis.hgetall(this.redisKey());
+
+    if (Object.keys(stored || {}).length === 0 && this.records.size > 0) {
+      await this.redis.hset(this.redisKey(), Object.fromEntries(
+        Array.from(this.records.values()).map(record => [record.id, JSON.stringify(record)])
+      ));
+      logger.info(`🔐 Copied ${this.records.size} runtime accounts from ${this.filePath} to Redis`);
+      return;
+    }
+
+    this.records.clear();
+    Object.values(stored || {}).forEach((value) => {
+      const record = JSON.parse(value);
+      this.records.set(record.id, record);
+    });
+    logger.info(`🔐 Account store loaded ${this.records.size} runtime accounts from Redis`);
+  }
+
+  redisKey() {
+    return 'email:accounts';
+  }
+
+  persist() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.records.values()), null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  requireKey() {
+    if (!this.encryptionKey) {
+      const error = new Error('ACCOUNT_ENCRYPTION_KEY is not set; cannot store account credentials');
+      error.code = 'ENOENCRYPTIONKEY';
+      throw error;
+    }
+    return this.encryptionKey;
+  }
+
+  // Records with credentials that cannot be decrypted are skipped, not dropped from the store
+  list() {
+    return Array.from(this.records.values()).reduce((records, record) => {
+      try {
+        records.push(this.decode(record));
+      } catch (error) {
+        logger.error(`❌ Cannot decrypt credentials of runtime account ${record.id}: ${error.message}`);
+      }
+      return records;
+    }, []);
+  }
+
+  get(id) {
+    const record = this.records.get(String(id));
+    return record ? this.decode(record) : null;
+  }
+
+  async save(record) {
+    const { auth, ...definition } = record.definition;
+    const stored = {
+      ...record,
+      definition,
+      credentials: auth ? encryptSecret(auth, this.requireKey()) : null
+    };
+
+    if (this.redis) {
+      await this.redis.hset(this.redisKey(), stored.id, JSON.stringify(stored));
+      this.records.set(stored.id, stored);
+    } else {
+      const previous = this.records.get(stored.id);
+      this.records.set(stored.id, stored);
+      try {
+        this.persist();
+      } catch (error) {
+        // Keep memory in step with the file that failed to change
+        if (previous) this.records.set(stored.id, previous);
+        else this.records.delete(stored.id);
+        throw error;
+      }
+    }
+    return record;
+  }
+
+  async remove(id) {
+    const removed = this.records.delete(String(id));
+    if (!removed) return false;
+
+    if (this.redis) {
+      await this.redis.hdel(this.redisKey(), String(id));
+    } else {
+      this.persist();
+    }
+    return true;
+  }
+
+  decode(record) {
+    const { credentials, ...rest } = record;
+    return {
+      ...rest,
+      definition: credentials
+        ? { ...record.definition, auth: decryptSecret(credentials, this.requireKey()) }
+        : record.definition
+    };
+  }
+}
+
+module.exports = AccountStore;
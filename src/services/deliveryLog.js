@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { normalizeRecipient } = require('../utils/recipients');
+
+function statusFromResult(result) {
+  if (result.cancelled) return 'cancelled';
+  if (result.skipped) return 'skipped';
+  return result.success ? 'sent' : 'failed';
+}
+
+/**
+ * One delivery record per (job, recipient), independent of the job history
+ * so it survives queue trimming, plus the recipients already sent to under
+ * each campaign key. Records are journaled to a local file, or kept in Redis
+ * when the Redis queue is active.
+ */
+class DeliveryLog {
+  constructor(filePath = process.env.DELIVERY_LOG_PATH || path.join(process.cwd(), 'data', 'deliveries.journal')) {
+    this.filePath = filePath;
+    this.records = new Map(); // jobId -> Map(recipient -> record)
+    this.campaigns = new Map(); // campaign key -> Set(recipient)
+    this.redis = null;
+  }
+
+  load() {
+    this.records.clear();
+    this.campaigns.clear();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      fs.readFileSync(this.filePath, 'utf8').split('\n').forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          const entry = JSON.parse(line);
+          if (entry.op === 'campaign') {
+            this.addCampaignLocal(entry.campaignKey, entry.recipient);
+          } else {
+            this.setLocal(entry.record);
+          }
+        } catch (error) {
+          // Ignore a partially written last line
+        }
+      });
+    }
+
+    this.compact();
+    logger.info(`📒 Delivery log loaded records for ${this.records.size} jobs`);
+  }
+
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [];
+    this.records.forEach((jobRecords) => {
+      jobRecords.forEach(record => lines.push(JSON.stringify({ op: 'record', record })));
+    });
+    this.campaigns.forEach((recipients, campaignKey) => {
+      recipients.forEach(recipient => lines.push(JSON.stringify({ op: 'campaign', campaignKey, recipient })));
+    });
+    fs.writeFileSync(tmpPath, lines.length ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // Switch to Redis storage (shared between server instances)
+  useRedis(client) {
+    this.redis = client;
+    logger.info('📒 Delivery log using Redis storage');
+  }
+
+  redisKey(jobId) {
+    return `email:deliveries:${jobId}`;
+  }
+
+  setLocal(record) {
+    if (!this.records.has(record.jobId)) {
+      this.records.set(record.jobId, new Map());
+    }
+    this.records.get(record.jobId).set(normalizeRecipient(record.recipient), record);
+  }
+
+  async getRecord(jobId, recipient) {
+    const key = normalizeRecipient(recipient);
+    if (this.redis) {
+      const raw = await this.redis.hget(this.redisKey(jobId), key);
+      return raw ? JSON.parse(raw) : null;
+    }
+    const jobRecords = this.records.get(jobId);
+    return jobRecords ? jobRecords.get(key) || null : null;
+  }
+
+  async getRecords(jobId) {
+    if (this.redis) {
+      const values = await this.redis.hvals(this.redisKey(jobId));
+      return values.map(value => JSON.parse(value));
+    }
+    const jobRecords = this.records.get(jobId);
+    return jobRecords ? Array.from(jobRecords.values()) : [];
+  }
+
+  /**
+   * Record the outcome of one send attempt. Repeated attempts for the same
+   * recipient within a job update the existing record and bump its attempt count.
+   * The job's tags and metadata are copied onto the record.
+   */
+  async record(jobId, result, { tags = [], metadata = {} } = {}) {
+    jobId = String(jobId);
+    const now = new Date().toISOString();
+    const existing = await this.getRecord(jobId, result.recipient);
+
+    const record = {
+      jobId,
+      recipient: result.recipient,
+      senderAccount: result.senderAccount || null,
+      failedAccounts: result.failedAccounts || [],
+      messageId: result.messageId || null,
+      response: result.response || null,
+      error: result.success ? null : result.error || null,
+      status: statusFromResult(result),
+      attempts: existing ? existing.attempts + 1 : 1,
+      tags,
+      metadata,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    if (this.redis) {
+      await this.redis.hset(this.redisKey(jobId), normalizeRecipient(record.recipient), JSON.stringify(record));
+    } else {
+      this.setLocal(record);
+      fs.appendFileSync(this.filePath, `${JSON.stringify({ op: 'record', record })}\n`);
+    }
+
+    return record;
+  }
+
+  campaignRedisKey(campaignKey) {
+    return `email:campaign-recipients:${campaignKey}`;
+  }
+
+  addCampaignLocal(campaignKey, recipient) {
+    if (!this.campaigns.has(campaignKey)) {
+      this.campaigns.set(campaignKey, new Set());
+    }
+    this.campaigns.get(campaignKey).add(recipient);
+  }
+
+  // Remember a successful send so later jobs with the same campaign key skip the recipient
+  async markCampaignSent(campaignKey, recipient) {
+    const key = normalizeRecipient(recipient);
+    if (this.redis) {
+      await this.redis.sadd(this.campaignRedisKey(campaignKey), key);
+      return;
+    }
+    if (this.campaigns.has(campaignKey) && this.campaigns.get(campaignKey).has(key)) return;
+    this.addCampaignLocal(campaignKey, key);
+    fs.appendFileSync(this.filePath, `${JSON.stringify({ op: 'campaign', campaignKey, recipient: key })}\n`);
+  }
+
+  async wasSentInCampaign(campaignKey, recipient) {
+    const key = normalizeRecipient(recipient);
+    if (this.redis) {
+      return (await this.redis.sismember(this.campaignRedisKey(campaignKey), key)) === 1;
+    }
+    return this.campaigns.has(campaignKey) && this.campaigns.get(campaignKey).has(key);
+  }
+
+  async query(jobId, { status, recipient, page = 1, limit = 50 } = {}) {
+    jobId = String(jobId);
+    let records = await this.getRecords(jobId);
+
+    if (status) {
+      records = records.filter(record => record.status === status);
+    }
+    if (recipient) {
+      const needle = normalizeRecipient(recipient);
+      records = records.filter(record => normalizeRecipient(record.recipient).includes(needle));
+    }
+
+    records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const total = records.length;
+    const start = (page - 1) * limit;
+
+    return {
+      records: records.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = DeliveryLog;
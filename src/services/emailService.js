@@ -1,54 +1,103 @@
 const emailConfig = require('../config/emailConfig');
 const logger = require('../utils/logger');
+const { classifySmtpError, isAccountError } = require('../utils/smtpErrors');
 const { compileTemplate } = require('../utils/templateEngine');
+const throttler = require('./throttler');
 
 class EmailService {
-  constructor() {
-    this.sendDelay = parseInt(process.env.EMAIL_SEND_DELAY) || 1000;
+  buildMailOptions(emailData, account) {
+    const mailOptions = {
+      from: `"${emailData.senderName || 'Bulk Email Sender'}" <${account.email}>`,
+      to: emailData.to,
+      subject: emailData.subject,
+      html: emailData.html || emailData.text,
+      text: emailData.text,
+      attachments: emailData.attachments || []
+    };
+
+    // Add reply-to if specified
+    if (emailData.replyTo) {
+      mailOptions.replyTo = emailData.replyTo;
+    }
+
+    // Add CC and BCC if specified
+    if (emailData.cc) mailOptions.cc = emailData.cc;
+    if (emailData.bcc) mailOptions.bcc = emailData.bcc;
+
+    return mailOptions;
   }
 
   async sendSingleEmail(emailData) {
+    const failedAccounts = [];
+    let accountError = null;
+    // Last account picked for this message, reported on failures too
+    let attemptedAccount = null;
+
     try {
-      const account = emailConfig.getNextAvailableAccount();
-      
-      const mailOptions = {
-        from: `"${emailData.senderName || 'Bulk Email Sender'}" <${account.email}>`,
-        to: emailData.to,
-        subject: emailData.subject,
-        html: emailData.html || emailData.text,
-        text: emailData.text,
-        attachments: emailData.attachments || []
-      };
+      // Auth and connection failures fail over to the next healthy account
+      for (;;) {
+        let account;
+        try {
+          account = await emailConfig.getNextAvailableAccount({
+            strategy: emailData.accountStrategy,
+            to: emailData.to,
+            exclude: failedAccounts.map(failed => failed.id)
+          });
+        } catch (error) {
+          // Nothing left to fail over to: report the failure that started it
+          throw accountError || error;
+        }
+        attemptedAccount = account;
+
+        // Per-account and per-domain limits, shared by direct, queued and bulk sends
+        await throttler.acquire(account, emailData.to);
+
+        let info;
+        // Counted so removing the account at runtime waits for this send before closing its pool
+        account.inFlight++;
+        try {
+          info = await account.transporter.sendMail(this.buildMailOptions(emailData, account));
+        } catch (error) {
+          if (!isAccountError(error)) throw error;
+
+          emailConfig.recordAccountFailure(account, error);
+          failedAccounts.push(account);
+          accountError = error;
+          logger.warn(`🔁 Sending to ${emailData.to} via ${account.email} failed (${error.message}), failing over`);
+          continue;
+        } finally {
+          account.inFlight--;
+        }
 
-      // Add reply-to if specified
-      if (emailData.replyTo) {
-        mailOptions.replyTo = emailData.replyTo;
-      }
+        emailConfig.recordAccountSuccess(account);
 
-      // Add CC and BCC if specified
-      if (emailData.cc) mailOptions.cc = emailData.cc;
-      if (emailData.bcc) mailOptions.bcc = emailData.bcc;
+        // Increment account usage
+        await emailConfig.incrementAccountUsage(account.id);
 
-      const info = await account.transporter.sendMail(mailOptions);
-      
-      // Increment account usage
-      emailConfig.incrementAccountUsage(account.id);
-      
-      logger.info(`📧 Email sent successfully to ${emailData.to} via ${account.email}`);
-      
-      return {
-        success: true,
-        messageId: info.messageId,
-        recipient: emailData.to,
-        senderAccount: account.email,
-        timestamp: new Date().toISOString()
-      };
+        logger.info(`📧 Email sent successfully to ${emailData.to} via ${account.email}`);
+
+        return {
+          success: true,
+          messageId: info.messageId,
+          response: info.response,
+          recipient: emailData.to,
+          senderAccount: account.email,
+          ...(failedAccounts.length > 0 ? { failedAccounts: failedAccounts.map(failed => failed.email) } : {}),
+          timestamp: new Date().toISOString()
+        };
+      }
     } catch (error) {
       logger.error(`❌ Failed to send email to ${emailData.to}:`, error);
       return {
         success: false,
         recipient: emailData.to,
         error: error.message,
+        response: error.response,
+        responseCode: error.responseCode,
+        // An account problem says nothing about the message; retry once accounts recover
+        errorType: isAccountError(error) ? 'transient' : classifySmtpError(error),
+        senderAccount: attemptedAccount ? attemptedAccount.email : null,
+        ...(failedAccounts.length > 0 ? { failedAccounts: failedAccounts.map(failed => failed.email) } : {}),
         timestamp: new Date().toISOString()
       };
     }
@@ -90,11 +139,6 @@ class EmailService {
 
         results.details.push(result);
 
-        // Add delay between emails to avoid spam filters
-        if (i < recipients.length - 1) {
-          await this.delay(this.sendDelay);
-        }
-
         // Log progress
         if ((i + 1) % 10 === 0) {
           logger.info(`📊 Progress: ${i + 1}/${recipients.length} emails processed`);
@@ -140,10 +184,6 @@ class EmailService {
     }
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   async testEmailConnection() {
     try {
       const verificationResults = await emailConfig.verifyConnections();
@@ -161,8 +201,40 @@ class EmailService {
     }
   }
 
-  getEmailAccountsStatus() {
-    return emailConfig.getAccountsStatus();
+  async getEmailAccountsStatus() {
+    const accounts = await emailConfig.getAccountsStatus();
+    return accounts.map((status) => {
+      const account = emailConfig.findAccount(status.id);
+      return { ...status, throttle: account ? throttler.getAccountStatus(account) : null };
+    });
+  }
+
+  async getEmailAccountStatus(accountId) {
+    const accounts = await this.getEmailAccountsStatus();
+    return accounts.find(status => String(status.id) === String(accountId)) || null;
+  }
+
+  async addEmailAccount(definition) {
+    const account = await emailConfig.addAccount(definition);
+    return this.getEmailAccountStatus(account.id);
+  }
+
+  async updateEmailAccount(accountId, changes) {
+    const account = await emailConfig.updateAccount(accountId, changes);
+    return this.getEmailAccountStatus(account.id);
+  }
+
+  async removeEmailAccount(accountId) {
+    await emailConfig.removeAccount(accountId);
+  }
+
+  // Share usage counters and runtime accounts through Redis once the Redis queue is up
+  async useRedis(client) {
+    await emailConfig.useRedis(client);
+  }
+
+  getDomainThrottleStatus() {
+    return throttler.getDomainStatus();
   }
 }
 
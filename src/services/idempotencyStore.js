@@ -0,0 +1,70 @@
+/**
+ * Idempotency-Key records for the send endpoints: pending while the first
+ * request runs, then its response until IDEMPOTENCY_TTL expires. Kept in
+ * memory, or in Redis when the Redis queue is active so a repeat reaching
+ * another server instance is answered too.
+ */
+class IdempotencyStore {
+  constructor() {
+    this.keys = new Map(); // key -> { record, expiresAt }
+    this.redis = null;
+    this.ttl = parseInt(process.env.IDEMPOTENCY_TTL) || 24 * 60 * 60; // seconds
+    this.pendingTtl = 5 * 60; // a request that died mid-way frees its key
+  }
+
+  useRedis(client) {
+    this.redis = client;
+  }
+
+  redisKey(key) {
+    return `email:idempotency:${key}`;
+  }
+
+  /**
+   * Claim a key for a new request. Returns null when the key is free (it is
+   * then held as pending), otherwise the stored record.
+   */
+  async reserve(key, fingerprint) {
+    const pending = { state: 'pending', fingerprint, createdAt: new Date().toISOString() };
+
+    if (this.redis) {
+      const claimed = await this.redis.set(this.redisKey(key), JSON.stringify(pending), 'EX', this.pendingTtl, 'NX');
+      if (claimed) return null;
+      const raw = await this.redis.get(this.redisKey(key));
+      // Expired between the two calls
+      return raw ? JSON.parse(raw) : this.reserve(key, fingerprint);
+    }
+
+    const now = Date.now();
+    this.keys.forEach((entry, storedKey) => {
+      if (entry.expiresAt <= now) this.keys.delete(storedKey);
+    });
+    const existing = this.keys.get(key);
+    if (existing) return existing.record;
+
+    this.keys.set(key, { record: pending, expiresAt: now + this.pendingTtl * 1000 });
+    return null;
+  }
+
+  // Keep the response so repeats of the request get the same answer
+  async complete(key, fingerprint, status, body) {
+    const record = { state: 'done', fingerprint, status, body, createdAt: new Date().toISOString() };
+
+    if (this.redis) {
+      await this.redis.set(this.redisKey(key), JSON.stringify(record), 'EX', this.ttl);
+      return;
+    }
+    this.keys.set(key, { record, expiresAt: Date.now() + this.ttl * 1000 });
+  }
+
+  // Server errors are not kept: the client may retry with the same key
+  async release(key) {
+    if (this.redis) {
+      await this.redis.del(this.redisKey(key));
+      return;
+    }
+    this.keys.delete(key);
+  }
+}
+
+module.exports = IdempotencyStore;
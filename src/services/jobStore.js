@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DATE_FIELDS = ['createdAt', 'processedAt', 'finishedAt'];
+
+function serializeJob(job) {
+  return JSON.parse(JSON.stringify(job));
+}
+
+function reviveDates(record) {
+  DATE_FIELDS.forEach((field) => {
+    if (record[field]) record[field] = new Date(record[field]);
+  });
+  return record;
+}
+
+/**
+ * Append-only journal backing the memory queue.
+ * Every job creation, state transition, progress update and per-recipient
+ * result is written as one JSON line, and the journal is replayed on startup.
+ * It is compacted on load and whenever it grows past JOB_STORE_COMPACT_BYTES
+ * and twice its size after the previous compaction.
+ */
+class JobStore {
+  constructor(filePath = process.env.JOB_STORE_PATH || path.join(process.cwd(), 'data', 'jobs.journal')) {
+    this.filePath = filePath;
+    this.jobs = new Map();
+    this.meta = {};
+    this.compactThreshold = parseInt(process.env.JOB_STORE_COMPACT_BYTES) || 10 * 1024 * 1024;
+    this.journalBytes = 0;
+    this.compactedBytes = 0;
+  }
+
+  load() {
+    this.jobs.clear();
+    this.meta = {};
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      let skipped = 0;
+
+      lines.forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          this.apply(JSON.parse(line));
+        } catch (error) {
+          // A partially written last line is expected after a crash
+          skipped++;
+        }
+      });
+
+      if (skipped > 0) {
+        logger.warn(`⚠️ Job store skipped ${skipped} unreadable journal entries`);
+      }
+    }
+
+    this.compact();
+    logger.info(`💾 Job store loaded ${this.jobs.size} jobs from ${this.filePath}`);
+    return this.jobs;
+  }
+
+  apply(entry) {
+    switch (entry.op) {
+      case 'create':
+        this.jobs.set(entry.job.id, reviveDates({ recipientResults: [], ...entry.job }));
+        break;
+      case 'update': {
+        const job = this.jobs.get(entry.id);
+        if (job) Object.assign(job, reviveDates(entry.changes));
+        break;
+      }
+      case 'recipient': {
+        const job = this.jobs.get(entry.id);
+        if (job) job.recipientResults.push(entry.result);
+        break;
+      }
+      case 'remove':
+        this.jobs.delete(entry.id);
+        break;
+      case 'meta':
+        this.meta[entry.key] = entry.value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    fs.appendFileSync(this.filePath, line);
+    this.journalBytes += Buffer.byteLength(line);
+
+    // The live jobs alone may exceed the threshold; wait until the journal has doubled again
+    if (this.journalBytes > Math.max(this.compactThreshold, 2 * this.compactedBytes)) {
+      this.compact();
+    }
+  }
+
+  // Rewrite the journal as one create entry per job to keep replay fast
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [];
+
+    Object.entries(this.meta).forEach(([key, value]) => {
+      lines.push(JSON.stringify({ op: 'meta', key, value }));
+    });
+    this.jobs.forEach((job) => {
+      lines.push(JSON.stringify({ op: 'create', job: serializeJob(job) }));
+    });
+
+    const contents = lines.length ? `${lines.join('\n')}\n` : '';
+    fs.writeFileSync(tmpPath, contents);
+    fs.renameSync(tmpPath, this.filePath);
+    this.journalBytes = Buffer.byteLength(contents);
+    this.compactedBytes = this.journalBytes;
+  }
+
+  create(job) {
+    if (!job.recipientResults) job.recipientResults = [];
+    this.jobs.set(job.id, job);
+    this.append({ op: 'create', job: serializeJob(job) });
+    return job;
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes);
+    this.append({ op: 'update', id: job.id, changes: serializeJob(changes) });
+    return job;
+  }
+
+  recordRecipient(job, result) {
+    job.recipientResults.push(result);
+    this.append({ op: 'recipient', id: job.id, result });
+  }
+
+  // Removing a split bulk job also removes its child jobs
+  remove(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    (job.childIds || []).forEach(childId => this.remove(childId));
+    this.jobs.delete(jobId);
+    this.append({ op: 'remove', id: jobId });
+  }
+
+  setMeta(key, value) {
+    this.meta[key] = value;
+    this.append({ op: 'meta', key, value });
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  all() {
+    return Array.from(this.jobs.values());
+  }
+
+  byState(state) {
+    return this.all().filter(job => job.state === state);
+  }
+
+  count(state) {
+    return this.byState(state).length;
+  }
+
+  maxId() {
+    return this.all().reduce((max, job) => Math.max(max, job.id), 0);
+  }
+
+  // Keep only the newest `limit` finished top-level jobs in the given state;
+  // jobs matching `keep` are neither removed nor counted
+  prune(state, limit, keep = () => false) {
+    const finished = this.byState(state)
+      .filter(job => !job.data.parentId && !keep(job))
+      .sort((a, b) => new Date(b.finishedAt).getTime() - new Date(a.finishedAt).getTime());
+
+    finished.slice(limit).forEach(job => this.remove(job.id));
+  }
+}
+
+module.exports = JobStore;
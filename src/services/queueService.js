@@ -1,15 +1,54 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const cronParser = require('cron-parser');
 const emailService = require('./emailService');
+const JobStore = require('./jobStore');
+const DeliveryLog = require('./deliveryLog');
+const ScheduleStore = require('./scheduleStore');
+const WebhookStore = require('./webhookStore');
+const IdempotencyStore = require('./idempotencyStore');
+const fileUploadService = require('../utils/fileUpload');
 const logger = require('../utils/logger');
+const { resolveSendAt, getDelayUntil } = require('../utils/schedule');
+const { getDefaultRetryPolicy, resolveRetryPolicy, getBackoffDelay } = require('../utils/retryPolicy');
+const { dedupeRecipients } = require('../utils/recipients');
 
-class UnifiedQueueService {
+class UnifiedQueueService extends EventEmitter {
   constructor() {
-    this.jobs = new Map();
+    super();
+    this.setMaxListeners(0); // one listener per open job event stream
+    this.store = new JobStore();
+    this.deliveryLog = new DeliveryLog();
+    this.scheduleStore = new ScheduleStore();
+    this.webhookStore = new WebhookStore();
+    this.scheduleTimers = new Map();
     this.jobCounter = 0;
-    this.isProcessing = false;
+    this.isProcessing = false; // memory workers started
+    this.paused = false; // memory workers idle until resumeQueue
+    this.pausedAt = null;
     this.queue = [];
-    this.completed = [];
-    this.failed = [];
+    // How often idle memory workers look for new jobs (ms)
+    this.pollInterval = parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000;
     this.maxHistory = 100;
+    this.maxAttemptHistory = 20;
+    // Workers per job type, shared by the memory processor and Bull
+    this.concurrency = {
+      'single-email': parseInt(process.env.QUEUE_CONCURRENCY_SINGLE) || 5,
+      'bulk-email': 1, // only splits campaigns into child jobs
+      'bulk-batch': parseInt(process.env.QUEUE_CONCURRENCY_BULK) || 1
+    };
+    // Recipients per child job of a bulk campaign (1 = one job per recipient)
+    this.batchSize = parseInt(process.env.BULK_BATCH_SIZE) || 50;
+    // Failed webhook deliveries are retried in this process with backoff
+    this.webhookRetry = {
+      attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      backoff: 'exponential',
+      delay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 2000,
+      maxDelay: 10 * 60 * 1000
+    };
+    this.webhookTimeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+    // Idempotency-Key records; Redis keeps them across restarts, memory does not
+    this.idempotencyStore = new IdempotencyStore();
     this.redisQueue = null; // Will be initialized if Redis is available
     
     this.initializeQueue();
@@ -53,39 +92,100 @@ class UnifiedQueueService {
           host: process.env.REDIS_HOST || 'localhost',
           port: process.env.REDIS_PORT || 6379,
         },
+        settings: {
+          backoffStrategies: {
+            // Per-job retry policy (see retryPolicy.js); -1 stops retrying permanent failures
+            policy: (attemptsMade, err, policy) => (err && err.permanent ? -1 : getBackoffDelay(policy, attemptsMade))
+          }
+        },
         defaultJobOptions: {
           removeOnComplete: 50,
-          removeOnFail: 100,
-          attempts: 3,
-          backoff: 'exponential',
+          // Failed jobs are the dead-letter queue; they stay until requeued or purged
+          removeOnFail: false,
+          ...this.getRetryJobOptions(getDefaultRetryPolicy())
         }
       });
 
+      this.deliveryLog.useRedis(this.redisQueue.client);
+      this.scheduleStore.useRedis(this.redisQueue.client);
+      this.webhookStore.useRedis(this.redisQueue.client);
+      this.idempotencyStore.useRedis(this.redisQueue.client);
+      await emailService.useRedis(this.redisQueue.client);
+
       // Process jobs
-      this.redisQueue.process('single-email', async (job) => {
+      this.redisQueue.process('single-email', this.concurrency['single-email'], async (job) => {
+        // Bull has no per-job hold, so a job paused or cancelled while waiting stops here
+        const control = await this.getJobControl(job);
+        if (control) {
+          await this.stopRedisJob(job, { paused: control === 'pause', cancelled: control === 'cancel' });
+        }
+
         const { emailData } = job.data;
-        return await emailService.sendSingleEmail(emailData);
+        const result = await emailService.sendSingleEmail(emailData);
+        await this.recordRecipientResult(job, result);
+        if (!result.success) {
+          throw this.toDeliveryError(result);
+        }
+        return result;
+      });
+
+      this.redisQueue.process('bulk-email', this.concurrency['bulk-email'], async (job) => {
+        return await this.fanOutBulkJob(job);
       });
 
-      this.redisQueue.process('bulk-email', 1, async (job) => {
+      this.redisQueue.process('bulk-batch', this.concurrency['bulk-batch'], async (job) => {
         const { recipients, template, options } = job.data;
         job.progress(0);
         
         const result = await this.processBulkEmailWithProgress(
           job, recipients, template, options
         );
+        if (result.paused || result.cancelled) {
+          await this.stopRedisJob(job, result);
+        }
         
         job.progress(100);
         return result;
       });
 
+      // Repeatable jobs registered by activateSchedule fire here on every cron tick
+      this.redisQueue.process('recurring-campaign', async (job) => {
+        return await this.runSchedule(job.data.scheduleId);
+      });
+
       // Event listeners
+      this.redisQueue.on('active', (job) => {
+        if (job.name === 'recurring-campaign') return;
+        this.emitJobEvent(job, 'state', { state: 'active', attempt: job.attemptsMade + 1 });
+      });
+
       this.redisQueue.on('completed', (job, result) => {
-        logger.info(`✅ Redis job ${job.id} completed successfully`);
+        logger.info(`✅ Redis job ${job.id} completed successfully${this.formatJobLabels(job)}`);
+        // A split bulk job's state follows its children, see updateCampaign
+        if (job.name !== 'bulk-email' && job.name !== 'recurring-campaign') {
+          this.emitJobEvent(job, 'state', { state: 'completed' });
+        }
+        this.finishChildJob(job, 'completed');
       });
 
-      this.redisQueue.on('failed', (job, err) => {
-        logger.error(`❌ Redis job ${job.id} failed:`, err);
+      this.redisQueue.on('failed', async (job, err) => {
+        if (err.paused) {
+          logger.info(`⏸️ Redis job ${job.id} paused`);
+          this.emitJobEvent(job, 'state', { state: 'paused' });
+          return;
+        }
+        logger.error(`❌ Redis job ${job.id} failed${this.formatJobLabels(job)}:`, err);
+        if (!err.cancelled) {
+          this.recordAttempt(job, err);
+        }
+        // 'failed' fires on every attempt; the child is only done once retries run out
+        if (err.cancelled || err.permanent || job.attemptsMade >= (job.opts.attempts || 1)) {
+          this.emitJobEvent(job, 'state', { state: 'failed', error: err.message, cancelled: Boolean(err.cancelled) });
+          this.finishChildJob(job, 'failed');
+        } else {
+          // Bull has already moved the job to delayed (backoff) or waiting
+          this.emitJobEvent(job, 'state', { state: await job.getState(), error: err.message, retrying: true });
+        }
       });
 
       logger.info('✅ Redis queue initialized successfully');
@@ -98,25 +198,72 @@ class UnifiedQueueService {
   }
 
   initializeMemoryQueue() {
+    this.store.load();
+    this.deliveryLog.load();
+    this.jobCounter = this.store.maxId();
+    // A queue paused before the restart stays paused
+    this.pausedAt = this.store.meta.pausedAt || null;
+    this.paused = Boolean(this.pausedAt);
+    if (this.paused) {
+      logger.info(`⏸️ Memory queue restored as paused (since ${this.pausedAt})`);
+    }
+    this.restoreUnfinishedJobs();
+    this.scheduleStore.load();
+    this.scheduleStore.schedules.forEach(schedule => this.activateSchedule(schedule));
+    this.webhookStore.load();
     logger.info('✅ Memory queue initialized');
     this.startMemoryQueueProcessing();
   }
 
+  // Replay jobs that were waiting or interrupted mid-run before the last shutdown
+  restoreUnfinishedJobs() {
+    // A split bulk job stays active while its children run; the children are restored instead
+    const unfinished = this.store.all()
+      .filter(job => job.state === 'waiting' || (job.state === 'active' && !job.childIds))
+      .sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt);
+
+    unfinished.forEach((job) => {
+      if (job.state === 'active') {
+        this.store.update(job, { state: 'waiting' });
+      }
+      this.queue.push(job);
+    });
+
+    if (unfinished.length > 0) {
+      logger.info(`♻️ Restored ${unfinished.length} unfinished memory jobs from job store`);
+    }
+  }
+
   async startMemoryQueueProcessing() {
     if (this.isProcessing) return;
     
     this.isProcessing = true;
-    logger.info('📋 Memory queue processor started');
 
+    Object.entries(this.concurrency).forEach(([type, workers]) => {
+      for (let i = 0; i < workers; i++) {
+        this.runMemoryWorker(type);
+      }
+    });
+
+    const summary = Object.entries(this.concurrency).map(([type, workers]) => `${workers} ${type}`).join(', ');
+    logger.info(`📋 Memory queue processor started (${summary} workers)`);
+  }
+
+  // One worker loop; several run side by side per job type
+  async runMemoryWorker(type) {
     while (this.isProcessing) {
       try {
-        if (this.queue.length === 0) {
-          await this.sleep(1000);
+        this.promoteDueJobs();
+
+        // Paused workers stay alive so resuming never starts a second loop
+        if (this.paused) {
+          await this.sleep(this.pollInterval);
           continue;
         }
 
-        const job = this.queue.shift();
-        if (!job || job.state !== 'waiting') {
+        const job = this.takeNextJob(type);
+        if (!job) {
+          await this.sleep(this.pollInterval);
           continue;
         }
 
@@ -129,267 +276,1299 @@ class UnifiedQueueService {
     }
   }
 
+  takeNextJob(type) {
+    const index = this.queue.findIndex(job => job.type === type && job.state === 'waiting');
+    if (index === -1) return null;
+    return this.queue.splice(index, 1)[0];
+  }
+
+  // Move scheduled memory jobs whose send time has arrived into the queue
+  promoteDueJobs() {
+    const now = Date.now();
+    const due = this.store.byState('delayed').filter(job => new Date(job.retryAt || job.sendAt).getTime() <= now);
+    if (due.length === 0) return;
+
+    due.forEach((job) => {
+      this.store.update(job, { state: 'waiting', retryAt: null });
+      this.queue.push(job);
+      logger.info(`⏰ Scheduled memory job ${job.id} is due`);
+    });
+    this.queue.sort((a, b) => b.priority - a.priority);
+  }
+
   async processMemoryJob(job) {
     try {
-      job.state = 'active';
-      job.processedAt = new Date();
-      job.attempts++;
+      this.store.update(job, {
+        state: 'active',
+        processedAt: new Date(),
+        attempts: job.attempts + 1
+      });
       
       logger.info(`🔄 Processing memory job ${job.id} (${job.type})`);
+      this.emitJobEvent(job, 'state', { state: 'active', attempt: job.attempts });
 
       let result;
       
       if (job.type === 'single-email') {
         const { emailData } = job.data;
         result = await emailService.sendSingleEmail(emailData);
+        await this.recordRecipientResult(job, result);
+        if (!result.success) {
+          throw this.toDeliveryError(result);
+        }
       } else if (job.type === 'bulk-email') {
+        // The parent stays active; its state now follows the children
+        await this.fanOutBulkJob(job);
+        return;
+      } else if (job.type === 'bulk-batch') {
         const { recipients, template, options } = job.data;
-        job.progress = 0;
+        this.store.update(job, { progress: 0 });
         result = await this.processBulkEmailWithProgress(job, recipients, template, options);
-      }
 
-      job.state = 'completed';
-      job.progress = 100;
-      job.result = result;
-      job.finishedAt = new Date();
-      
-      this.completed.unshift(job);
-      if (this.completed.length > this.maxHistory) {
-        this.completed.pop();
+        if (result.paused) {
+          // Pausing does not use up an attempt; resumeJob requeues from the checkpoint
+          this.store.update(job, { state: 'paused', attempts: job.attempts - 1, pausedAt: new Date().toISOString() });
+          logger.info(`⏸️ Memory job ${job.id} paused at recipient ${result.successful + result.failed + result.skipped}/${result.total}`);
+          this.emitJobEvent(job, 'state', { state: 'paused' });
+          return;
+        }
+        if (result.cancelled) {
+          this.store.update(job, { state: 'failed', result, finishedAt: new Date(), cancelledAt: new Date().toISOString() });
+          logger.info(`🛑 Memory job ${job.id} cancelled, ${result.unsent.length} recipients left unsent`);
+          this.emitJobEvent(job, 'state', { state: 'failed', error: 'Job cancelled', cancelled: true });
+          await this.finishChildJob(job, 'failed');
+          return;
+        }
       }
 
-      logger.info(`✅ Memory job ${job.id} completed successfully`);
+      this.store.update(job, {
+        state: 'completed',
+        progress: 100,
+        result,
+        finishedAt: new Date()
+      });
+      this.store.prune('completed', this.maxHistory, job => this.keepInHistory(job));
+
+      logger.info(`✅ Memory job ${job.id} completed successfully${this.formatJobLabels(job)}`);
+      this.emitJobEvent(job, 'state', { state: 'completed' });
+      await this.finishChildJob(job, 'completed');
 
     } catch (error) {
-      logger.error(`❌ Memory job ${job.id} failed:`, error);
+      logger.error(`❌ Memory job ${job.id} failed${this.formatJobLabels(job)}:`, error);
+      this.store.update(job, {
+        attemptHistory: [
+          ...(job.attemptHistory || []),
+          { attempt: job.attempts, error: error.message, failedAt: new Date().toISOString() }
+        ].slice(-this.maxAttemptHistory)
+      });
       
-      if (job.attempts < job.maxAttempts) {
-        job.state = 'waiting';
-        this.queue.push(job);
+      if (!error.permanent && job.attempts < job.maxAttempts) {
+        const backoff = this.getRetryBackoff(job);
+        if (backoff > 0) {
+          // Parked as delayed; promoteDueJobs requeues it when the backoff ends
+          this.store.update(job, { state: 'delayed', retryAt: new Date(Date.now() + backoff).toISOString() });
+        } else {
+          this.store.update(job, { state: 'waiting' });
+          this.queue.push(job);
+        }
         logger.info(`🔄 Retrying memory job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+        this.emitJobEvent(job, 'state', { state: job.state, error: error.message, retrying: true });
       } else {
-        job.state = 'failed';
-        job.result = { error: error.message };
-        job.finishedAt = new Date();
-        
-        this.failed.unshift(job);
-        if (this.failed.length > this.maxHistory) {
-          this.failed.pop();
+        this.store.update(job, {
+          state: 'failed',
+          result: { error: error.message },
+          finishedAt: new Date()
+        });
+        this.store.prune('failed', this.maxHistory, job => this.keepInHistory(job));
+        this.emitJobEvent(job, 'state', { state: 'failed', error: error.message, cancelled: false });
+        await this.finishChildJob(job, 'failed');
+      }
+    }
+  }
+
+  getRetryBackoff(job) {
+    return getBackoffDelay(job.retry || getDefaultRetryPolicy(), job.attempts);
+  }
+
+  // Bull options for a retry policy; the 'policy' strategy is registered on the queue
+  getRetryJobOptions(policy) {
+    return {
+      attempts: policy.attempts,
+      backoff: { type: 'policy', options: policy }
+    };
+  }
+
+  // Turn a failed send result into a job failure the retry policy understands
+  toDeliveryError(result) {
+    const error = new Error(result.error);
+    error.permanent = result.errorType === 'permanent';
+    return error;
+  }
+
+  // Whether the attempt now running is the job's final one
+  isLastAttempt(job) {
+    if (this.isRedisJob(job)) {
+      return job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    }
+    return job.attempts >= job.maxAttempts;
+  }
+
+  /**
+   * Split a bulk campaign into child jobs of `batchSize` recipients. Each
+   * child is sent, checkpointed and retried on its own; the parent only
+   * aggregates their counters (see updateCampaign).
+   */
+  async fanOutBulkJob(job) {
+    const { recipients, template, options = {} } = job.data;
+    const batchSize = options.batchSize || this.batchSize;
+    const parentId = String(job.id);
+
+    const batches = [];
+    for (let offset = 0; offset < recipients.length; offset += batchSize) {
+      batches.push({ offset, recipients: recipients.slice(offset, offset + batchSize) });
+    }
+
+    const campaign = {
+      total: recipients.length,
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      unsent: 0,
+      childrenTotal: batches.length,
+      childrenDone: 0,
+      childrenFailed: 0,
+      cancelled: 0
+    };
+
+    if (this.isRedisJob(job)) {
+      const client = this.redisQueue.client;
+      // Bull re-runs a stalled parent: keep the counters, and the fixed child
+      // ids below turn repeated adds into no-ops
+      if (!(await client.exists(this.campaignKey(parentId)))) {
+        await client.hset(this.campaignKey(parentId), campaign);
+      }
+
+      const childIds = [];
+      for (const [index, batch] of batches.entries()) {
+        const child = await this.redisQueue.add('bulk-batch', { parentId, ...batch, template, options }, {
+          jobId: `${parentId}:${index}`,
+          priority: job.opts.priority || 0,
+          ...this.getRetryJobOptions(resolveRetryPolicy(options.retry))
+        });
+        childIds.push(String(child.id));
+      }
+      await job.update({ ...job.data, childIds });
+    } else {
+      // Children of a fan-out interrupted before it was recorded
+      this.store.all()
+        .filter(child => child.data.parentId === parentId)
+        .forEach((child) => {
+          this.dequeue(child);
+          this.store.remove(child.id);
+        });
+
+      this.store.update(job, { campaign, progress: 0 });
+      const childIds = batches.map(batch => this.createMemoryJob('bulk-batch', {
+        parentId, ...batch, template, options
+      }, { priority: job.priority, retry: options.retry }).id);
+      this.store.update(job, { childIds });
+    }
+
+    logger.info(`🧩 Bulk job ${parentId} split into ${batches.length} child jobs of up to ${batchSize} recipients`);
+    return { children: batches.length };
+  }
+
+  campaignKey(parentId) {
+    return `email:campaign:${parentId}`;
+  }
+
+  async getCampaign(parentId) {
+    if (this.redisQueue) {
+      const raw = await this.redisQueue.client.hgetall(this.campaignKey(parentId));
+      if (!raw || Object.keys(raw).length === 0) return null;
+      return Object.fromEntries(Object.entries(raw).map(([key, value]) => [key, parseInt(value)]));
+    }
+    const parent = this.store.get(parseInt(parentId));
+    return (parent && parent.campaign) || null;
+  }
+
+  /**
+   * Bump one counter of a split bulk job. Memory parents also take their
+   * final state here once every child has finished.
+   */
+  async updateCampaign(parentId, field, amount = 1) {
+    if (this.redisQueue) {
+      const client = this.redisQueue.client;
+      await client.hincrby(this.campaignKey(parentId), field, amount);
+      if (field === 'childrenDone' || field === 'childrenFailed') {
+        const campaign = await this.getCampaign(parentId);
+        if (this.isCampaignFinished(campaign)) {
+          // Children finishing together may both get here; only the first one reports
+          if (await client.hsetnx(this.campaignKey(parentId), 'finishedAt', Date.now())) {
+            logger.info(`🏁 Bulk job ${parentId} finished: ${this.getCampaignState(campaign)}`);
+            this.emitJobEvent({ id: parentId, data: {} }, 'state', {
+              state: this.getCampaignState(campaign),
+              result: this.formatCampaignResult(campaign)
+            });
+          }
+        } else {
+          // A requeued child reopens a finished campaign
+          await client.hdel(this.campaignKey(parentId), 'finishedAt');
         }
       }
+      if (this.hasJobListeners()) {
+        this.emitCampaignProgress({ id: parentId, data: {} }, await this.getCampaign(parentId));
+      }
+      return;
+    }
+
+    const parent = this.store.get(parseInt(parentId));
+    if (!parent || !parent.campaign) return;
+
+    const campaign = { ...parent.campaign, [field]: parent.campaign[field] + amount };
+    const changes = { campaign, progress: this.getCampaignProgress(campaign) };
+    const finished = parent.state === 'active' && this.isCampaignFinished(campaign);
+    if (finished) {
+      Object.assign(changes, {
+        state: this.getCampaignState(campaign),
+        result: this.formatCampaignResult(campaign),
+        finishedAt: new Date()
+      });
+    } else if (parent.state !== 'active' && !this.isCampaignFinished(campaign)) {
+      // A requeued child reopens a finished campaign
+      Object.assign(changes, { state: 'active', result: null, finishedAt: null });
+    }
+
+    this.store.update(parent, changes);
+    this.emitCampaignProgress(parent, campaign);
+    if (finished) {
+      logger.info(`🏁 Bulk job ${parentId} finished: ${changes.state}`);
+      this.emitJobEvent(parent, 'state', { state: changes.state, result: changes.result });
+      this.store.prune(changes.state, this.maxHistory, job => this.keepInHistory(job));
+    }
+  }
+
+  emitCampaignProgress(parent, campaign) {
+    this.emitJobEvent(parent, 'progress', {
+      progress: this.getCampaignProgress(campaign),
+      ...this.formatCampaignResult(campaign)
+    });
+  }
+
+  async finishChildJob(job, outcome) {
+    if (!job.data.parentId) return;
+    try {
+      await this.updateCampaign(job.data.parentId, outcome === 'completed' ? 'childrenDone' : 'childrenFailed');
+    } catch (error) {
+      logger.error(`Failed to update bulk job ${job.data.parentId} for child ${job.id}:`, error);
+    }
+  }
+
+  isCampaignFinished(campaign) {
+    return campaign.childrenDone + campaign.childrenFailed >= campaign.childrenTotal;
+  }
+
+  // A campaign fails only when it was cancelled or none of its children succeeded
+  getCampaignState(campaign) {
+    return campaign.cancelled || campaign.childrenDone === 0 ? 'failed' : 'completed';
+  }
+
+  getCampaignProgress(campaign) {
+    if (!campaign.total) return 100;
+    return Math.round((this.getCampaignCursor(campaign) / campaign.total) * 100);
+  }
+
+  // Recipients the campaign is done with, whether sent or not
+  getCampaignCursor(campaign) {
+    return campaign.sent + campaign.failed + campaign.skipped + (campaign.unsent || 0);
+  }
+
+  formatCampaignResult(campaign) {
+    return {
+      total: campaign.total,
+      successful: campaign.sent,
+      failed: campaign.failed,
+      skipped: campaign.skipped,
+      unsent: campaign.unsent || 0,
+      cancelled: Boolean(campaign.cancelled)
+    };
+  }
+
+  // Overlay the children's aggregate onto a parent bulk job's status
+  applyCampaignStatus(status, campaign, childIds) {
+    if (!campaign) return status;
+
+    const finished = this.isCampaignFinished(campaign);
+    const running = status.control === 'pause' ? 'paused' : 'active';
+    return {
+      ...status,
+      state: finished ? this.getCampaignState(campaign) : running,
+      progress: this.getCampaignProgress(campaign),
+      result: finished ? this.formatCampaignResult(campaign) : null,
+      finishedAt: finished ? (campaign.finishedAt ? new Date(campaign.finishedAt) : status.finishedAt) : null,
+      checkpoint: this.formatCheckpoint({
+        cursor: this.getCampaignCursor(campaign),
+        total: campaign.total,
+        sent: campaign.sent,
+        failed: campaign.failed,
+        skipped: campaign.skipped
+      }),
+      children: {
+        total: campaign.childrenTotal,
+        completed: campaign.childrenDone,
+        failed: campaign.childrenFailed,
+        ids: childIds.map(String)
+      }
+    };
+  }
+
+  dequeue(job) {
+    const index = this.queue.findIndex(j => j.id === job.id);
+    if (index > -1) {
+      this.queue.splice(index, 1);
     }
   }
 
   async processBulkEmailWithProgress(job, recipients, template, options) {
+    const checkpoint = await this.getCheckpoint(job, recipients.length);
     const results = {
       total: recipients.length,
-      successful: 0,
-      failed: 0,
-      details: []
+      successful: checkpoint.sent,
+      failed: checkpoint.failed,
+      skipped: checkpoint.skipped,
+      details: await this.getRecordedResults(job)
     };
 
-    for (let i = 0; i < recipients.length; i++) {
+    if (checkpoint.cursor > 0) {
+      logger.info(`⏩ Resuming bulk job ${job.id} from recipient ${checkpoint.cursor}/${recipients.length}`);
+    }
+
+    // Transient failures are deferred to the job's next attempt, except on the last one
+    const lastAttempt = this.isLastAttempt(job);
+    // Recipients deferred by the previous attempt go first, then the rest from the cursor
+    const order = [...checkpoint.retry];
+    for (let i = checkpoint.cursor; i < recipients.length; i++) {
+      order.push(i);
+    }
+
+    for (const i of order) {
+      // Pause and cancel are cooperative: honoured between recipients only
+      const control = await this.getJobControl(job);
+      if (control === 'pause') {
+        return { ...results, paused: true };
+      }
+      if (control === 'cancel') {
+        const unsent = [...checkpoint.retry, ...checkpoint.deferred, ...order.filter(index => index >= checkpoint.cursor)]
+          .map(index => recipients[index]);
+        await this.recordUnsentRecipients(job, unsent);
+        return { ...results, cancelled: true, unsent: unsent.map(r => r.email) };
+      }
+
       const recipient = recipients[i];
-      
-      try {
-        const personalizedEmail = await emailService.personalizeEmail(template, recipient);
-        
-        const result = await emailService.sendSingleEmail({
-          to: recipient.email,
-          subject: personalizedEmail.subject,
-          html: personalizedEmail.html,
-          text: personalizedEmail.text,
-          senderName: options.senderName,
-          replyTo: options.replyTo,
-          attachments: options.attachments
-        });
+      let result;
+
+      // The previous attempt died while sending to this recipient, so we cannot
+      // tell whether it was delivered. Skip it rather than risk a duplicate.
+      if (checkpoint.inFlight === i) {
+        result = {
+          success: false,
+          skipped: true,
+          recipient: recipient.email,
+          error: 'Delivery state unknown after interrupted attempt',
+          timestamp: new Date().toISOString()
+        };
+      } else if (options.campaignKey && await this.deliveryLog.wasSentInCampaign(options.campaignKey, recipient.email)) {
+        // An earlier job of the same campaign already reached this recipient
+        result = {
+          success: false,
+          skipped: true,
+          recipient: recipient.email,
+          error: `Already sent under campaign key ${options.campaignKey}`,
+          timestamp: new Date().toISOString()
+        };
+      } else {
+        await this.saveCheckpoint(job, { ...checkpoint, inFlight: i });
+
+        try {
+          const personalizedEmail = await emailService.personalizeEmail(template, recipient);
+
+          result = await emailService.sendSingleEmail({
+            to: recipient.email,
+            subject: personalizedEmail.subject,
+            html: personalizedEmail.html,
+            text: personalizedEmail.text,
+            senderName: options.senderName,
+            replyTo: options.replyTo,
+            attachments: options.attachments,
+            accountStrategy: options.accountStrategy
+          });
+        } catch (error) {
+          // Personalisation failed; it would fail the same way on every attempt
+          result = {
+            success: false,
+            recipient: recipient.email,
+            error: error.message,
+            errorType: 'permanent',
+            timestamp: new Date().toISOString()
+          };
+        }
+      }
+
+      if (i < checkpoint.cursor) {
+        checkpoint.retry = checkpoint.retry.filter(index => index !== i);
+      } else {
+        checkpoint.cursor = i + 1;
+      }
+      checkpoint.inFlight = null;
 
-        if (result.success) {
+      const deferred = !result.success && !result.skipped && result.errorType === 'transient' && !lastAttempt;
+      if (deferred) {
+        checkpoint.deferred.push(i);
+        await this.recordRecipientResult(job, result, { final: false });
+      } else {
+        if (result.skipped) {
+          checkpoint.skipped++;
+          results.skipped++;
+        } else if (result.success) {
+          checkpoint.sent++;
           results.successful++;
         } else {
+          checkpoint.failed++;
           results.failed++;
         }
-
         results.details.push(result);
+        await this.recordRecipientResult(job, result);
+      }
 
-        // Update progress
-        const progress = Math.round(((i + 1) / recipients.length) * 100);
-        if (job.progress) {
-          job.progress(progress); // Redis queue
-        } else {
-          job.progress = progress; // Memory queue
-        }
+      await this.saveCheckpoint(job, checkpoint, deferred ? null : result);
 
-        if (i < recipients.length - 1) {
-          await this.sleep(1000);
-        }
+      // Update progress
+      const done = checkpoint.sent + checkpoint.failed + checkpoint.skipped;
+      const progress = Math.round((done / recipients.length) * 100);
+      if (this.isRedisJob(job)) {
+        await job.progress(progress); // Redis queue
+      } else {
+        this.store.update(job, { progress }); // Memory queue
+      }
+      this.emitJobEvent(job, 'progress', {
+        progress,
+        total: recipients.length,
+        successful: checkpoint.sent,
+        failed: checkpoint.failed,
+        skipped: checkpoint.skipped
+      });
+    }
+
+    if (checkpoint.deferred.length > 0) {
+      const count = checkpoint.deferred.length;
+      await this.saveCheckpoint(job, { ...checkpoint, retry: checkpoint.deferred, deferred: [] });
+      throw new Error(`${count} recipients failed with transient errors and will be retried`);
+    }
+
+    return results;
+  }
+
+  isRedisJob(job) {
+    return typeof job.progress === 'function';
+  }
+
+  hasJobListeners() {
+    return this.listenerCount('job-event') > 0;
+  }
+
+  /**
+   * Publish a live update for GET /job/:jobId/events and the matching
+   * webhooks. Events come from this process only: with Redis, from the
+   * instance whose worker ran the job.
+   */
+  emitJobEvent(job, event, data = {}) {
+    const { parentId } = job.data || {};
+    const jobEvent = {
+      event,
+      jobId: String(job.id),
+      parentId: parentId ? String(parentId) : null,
+      ...data,
+      timestamp: new Date().toISOString()
+    };
+
+    this.notifyWebhooks(jobEvent);
+    if (this.hasJobListeners()) {
+      this.emit('job-event', jobEvent);
+    }
+  }
+
+  /**
+   * Call `listener` with every event of a job and of its child jobs.
+   * Returns the unsubscribe function.
+   */
+  subscribeJobEvents(jobId, listener) {
+    const id = String(jobId);
+    const onEvent = (event) => {
+      if (event.jobId === id || event.parentId === id) {
+        listener(event);
+      }
+    };
+    this.on('job-event', onEvent);
+    return () => this.off('job-event', onEvent);
+  }
+
+  checkpointKey(jobId) {
+    return `email:job-checkpoint:${jobId}`;
+  }
+
+  resultsKey(jobId) {
+    return `email:job-results:${jobId}`;
+  }
+
+  async getSavedCheckpoint(job) {
+    if (this.isRedisJob(job)) {
+      const saved = await this.redisQueue.client.get(this.checkpointKey(job.id));
+      return saved ? JSON.parse(saved) : null;
+    }
+    return job.checkpoint || null;
+  }
+
+  async getCheckpoint(job, total) {
+    const saved = await this.getSavedCheckpoint(job);
+    return {
+      cursor: 0,
+      total,
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      inFlight: null,
+      retry: [], // recipient indexes to resend on this attempt
+      deferred: [], // recipient indexes that failed transiently on this attempt
+      ...(saved || {})
+    };
+  }
+
+  // Per-recipient outcomes from earlier attempts of the same job
+  async getRecordedResults(job) {
+    if (this.isRedisJob(job)) {
+      const entries = await this.redisQueue.client.lrange(this.resultsKey(job.id), 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    }
+    return [...job.recipientResults];
+  }
+
+  async saveCheckpoint(job, checkpoint, result) {
+    if (this.isRedisJob(job)) {
+      // Kept beside Bull's job hash so each recipient writes a fixed amount,
+      // not the whole job data with every outcome so far
+      await this.redisQueue.client.set(this.checkpointKey(job.id), JSON.stringify(checkpoint));
+      if (result) await this.redisQueue.client.rpush(this.resultsKey(job.id), JSON.stringify(result));
+    } else {
+      // Memory jobs journal each outcome separately via recordRecipient
+      this.store.update(job, { checkpoint: { ...checkpoint } });
+    }
+  }
+
+  /**
+   * Write one send outcome to the delivery log. Non-final outcomes (a
+   * transient failure that will be retried) are not counted towards the job.
+   */
+  async recordRecipientResult(job, result, { final = true } = {}) {
+    // Bull keeps its own job data in Redis; only memory jobs are journaled
+    if (final && !this.isRedisJob(job) && job.type === 'bulk-batch') {
+      this.store.recordRecipient(job, result);
+    }
+
+    this.emitJobEvent(job, 'recipient', {
+      recipient: result.recipient,
+      success: Boolean(result.success),
+      skipped: Boolean(result.skipped),
+      cancelled: Boolean(result.cancelled),
+      error: result.error || null,
+      errorType: result.errorType || null,
+      final
+    });
+
+    // Children of a split bulk job log deliveries under the parent's id
+    const { parentId, options = {} } = job.data;
+    try {
+      await this.deliveryLog.record(parentId || job.id, result, this.getJobLabels(job));
+      if (final && result.success && options.campaignKey) {
+        await this.deliveryLog.markCampaignSent(options.campaignKey, result.recipient);
+      }
+    } catch (error) {
+      logger.error(`Failed to write delivery record for job ${job.id}:`, error);
+    }
 
+    if (final && parentId) {
+      const field = result.cancelled ? 'unsent' : result.skipped ? 'skipped' : (result.success ? 'sent' : 'failed');
+      try {
+        await this.updateCampaign(parentId, field);
       } catch (error) {
-        results.failed++;
-        results.details.push({
-          success: false,
-          recipient: recipient.email,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        });
+        logger.error(`Failed to update progress of bulk job ${parentId}:`, error);
       }
     }
+  }
 
-    return results;
+  // Caller-supplied tags and metadata; children inherit them through options
+  getJobLabels(job) {
+    const options = job.data.options || {};
+    return { tags: options.tags || [], metadata: options.metadata || {} };
+  }
+
+  formatJobLabels(job) {
+    const { tags, metadata } = this.getJobLabels(job);
+    const parts = [];
+    if (tags.length > 0) parts.push(`tags: ${tags.join(', ')}`);
+    if (Object.keys(metadata).length > 0) parts.push(`metadata: ${JSON.stringify(metadata)}`);
+    return parts.length > 0 ? ` [${parts.join('; ')}]` : '';
+  }
+
+  formatCheckpoint(checkpoint) {
+    if (!checkpoint) return null;
+    const { cursor, total, sent, failed, skipped } = checkpoint;
+    return { cursor, total, sent, failed, skipped };
   }
 
   // Unified API methods
   async addSingleEmailJob(emailData, options = {}) {
+    const schedule = this.resolveSchedule(options);
+
     if (this.redisQueue) {
       // Use Redis queue
       const job = await this.redisQueue.add('single-email', {
-        emailData
+        emailData,
+        options,
+        schedule
       }, {
         priority: options.priority || 0,
-        delay: options.delay || 0,
-        ...options
+        ...options,
+        ...this.getRetryJobOptions(resolveRetryPolicy(options.retry)),
+        delay: schedule ? getDelayUntil(new Date(schedule.sendAt)) : 0
       });
 
-      logger.info(`📝 Single email job added to Redis queue: ${job.id}`);
-      return { id: job.id.toString() };
+      logger.info(`📝 Single email job added to Redis queue: ${job.id}${this.formatJobLabels(job)}`);
+      return { id: job.id.toString(), sendAt: schedule ? schedule.sendAt : null };
     } else {
       // Use memory queue
-      const jobId = ++this.jobCounter;
-      const job = {
-        id: jobId,
-        type: 'single-email',
-        data: { emailData },
-        state: 'waiting',
-        progress: 0,
-        createdAt: new Date(),
-        priority: options.priority || 0,
-        attempts: 0,
-        maxAttempts: 3
-      };
+      const job = this.createMemoryJob('single-email', { emailData, options, schedule }, options);
 
-      this.jobs.set(jobId, job);
-      this.queue.push(job);
-      this.queue.sort((a, b) => b.priority - a.priority);
-      
-      logger.info(`📝 Single email job added to memory queue: ${jobId}`);
-      return { id: jobId.toString() };
+      logger.info(`📝 Single email job added to memory queue: ${job.id}${this.formatJobLabels(job)}`);
+      return { id: job.id.toString(), sendAt: schedule ? schedule.sendAt : null };
     }
   }
 
   async addBulkEmailJob(recipients, template, options = {}) {
+    const schedule = this.resolveSchedule(options);
+
     if (this.redisQueue) {
       // Use Redis queue
       const job = await this.redisQueue.add('bulk-email', {
         recipients,
         template,
-        options
+        options,
+        schedule
       }, {
         priority: options.priority || 0,
-        delay: options.delay || 0,
-        ...options
+        ...options,
+        ...this.getRetryJobOptions(resolveRetryPolicy(options.retry)),
+        delay: schedule ? getDelayUntil(new Date(schedule.sendAt)) : 0,
+        // The parent holds the aggregate of its children; keep it after it completes
+        removeOnComplete: false
       });
 
-      logger.info(`📝 Bulk email job added to Redis queue: ${job.id} (${recipients.length} recipients)`);
-      return { id: job.id.toString() };
+      logger.info(`📝 Bulk email job added to Redis queue: ${job.id} (${recipients.length} recipients)${this.formatJobLabels(job)}`);
+      return { id: job.id.toString(), sendAt: schedule ? schedule.sendAt : null };
     } else {
       // Use memory queue
-      const jobId = ++this.jobCounter;
-      const job = {
-        id: jobId,
-        type: 'bulk-email',
-        data: { recipients, template, options },
-        state: 'waiting',
-        progress: 0,
-        createdAt: new Date(),
-        priority: options.priority || 0,
-        attempts: 0,
-        maxAttempts: 3
-      };
+      const job = this.createMemoryJob('bulk-email', { recipients, template, options, schedule }, options);
+
+      logger.info(`📝 Bulk email job added to memory queue: ${job.id} (${recipients.length} recipients)${this.formatJobLabels(job)}`);
+      return { id: job.id.toString(), sendAt: schedule ? schedule.sendAt : null };
+    }
+  }
+
+  /**
+   * Schedule a bulk campaign at the same wall-clock `options.sendAt` in each
+   * recipient's own time zone: one job per distinct zone.
+   */
+  async addLocalTimeBulkEmailJobs(recipients, template, options = {}) {
+    const groups = new Map();
+    recipients.forEach((recipient) => {
+      const timezone = recipient.timezone || options.timezone || null;
+      if (!groups.has(timezone)) groups.set(timezone, []);
+      groups.get(timezone).push(recipient);
+    });
+
+    const jobs = [];
+    for (const [timezone, groupRecipients] of groups) {
+      const groupOptions = { ...options, timezone: timezone || undefined };
+      const job = await this.addBulkEmailJob(groupRecipients, template, groupOptions);
+      jobs.push({ id: job.id, timezone, sendAt: job.sendAt, recipients: groupRecipients.length });
+    }
+
+    return jobs;
+  }
+
+  createMemoryJob(type, data, options = {}) {
+    const jobId = ++this.jobCounter;
+    const delayed = data.schedule && new Date(data.schedule.sendAt).getTime() > Date.now();
+    const retry = resolveRetryPolicy(options.retry);
+    const job = {
+      id: jobId,
+      type,
+      data,
+      state: delayed ? 'delayed' : 'waiting',
+      progress: 0,
+      createdAt: new Date(),
+      sendAt: data.schedule ? data.schedule.sendAt : null,
+      priority: options.priority || 0,
+      attempts: 0,
+      maxAttempts: retry.attempts,
+      retry
+    };
 
-      this.jobs.set(jobId, job);
+    this.store.create(job);
+    if (!delayed) {
       this.queue.push(job);
       this.queue.sort((a, b) => b.priority - a.priority);
-      
-      logger.info(`📝 Bulk email job added to memory queue: ${jobId} (${recipients.length} recipients)`);
-      return { id: jobId.toString() };
     }
+    return job;
   }
 
-  async getJobStatus(jobId) {
+  // Absolute sendAt wins; otherwise a relative delay (ms) from now
+  resolveSchedule(options) {
+    const sendAt = resolveSendAt(options.sendAt, options.timezone)
+      || (options.delay > 0 ? new Date(Date.now() + options.delay) : null);
+    if (!sendAt) return null;
+    return { sendAt: sendAt.toISOString(), timezone: options.timezone || null };
+  }
+
+  async listScheduledJobs() {
+    if (this.redisQueue) {
+      // Jobs backing off between attempts are not scheduled sends
+      const jobs = (await this.redisQueue.getDelayed())
+        .filter(job => (job.name === 'single-email' || job.name === 'bulk-email') && job.attemptsMade === 0);
+      return jobs.map(job => this.formatScheduledJob({
+        id: job.id,
+        type: job.name,
+        data: job.data,
+        priority: job.opts.priority || 0,
+        createdAt: new Date(job.timestamp),
+        sendAt: new Date(job.timestamp + (job.opts.delay || 0))
+      }));
+    } else {
+      // Jobs backing off between attempts are not scheduled sends
+      return this.store.byState('delayed')
+        .filter(job => !job.retryAt)
+        .map(job => this.formatScheduledJob(job));
+    }
+  }
+
+  formatScheduledJob(job) {
+    const { data } = job;
+    return {
+      id: String(job.id),
+      type: job.type,
+      sendAt: new Date(job.sendAt).toISOString(),
+      timezone: data.schedule ? data.schedule.timezone : null,
+      recipients: job.type === 'bulk-email' ? data.recipients.length : 1,
+      to: job.type === 'single-email' ? data.emailData.to : undefined,
+      priority: job.priority,
+      createdAt: job.createdAt
+    };
+  }
+
+  /**
+   * Change the send time of a job that has not started yet.
+   */
+  async rescheduleJob(jobId, sendAt, timezone) {
+    const schedule = this.resolveSchedule({ sendAt, timezone });
+
     if (this.redisQueue) {
-      // Redis queue
       const job = await this.redisQueue.getJob(jobId);
       if (!job) {
         throw new Error(`Job ${jobId} not found`);
       }
 
       const state = await job.getState();
+      if (!['delayed', 'waiting'].includes(state)) {
+        throw new Error(`Cannot reschedule job ${jobId} in state ${state}`);
+      }
+
+      // Bull cannot move a waiting/delayed job in place, so re-add it under the same id
+      const { timestamp, delay, ...opts } = job.opts;
+      await job.remove();
+      await this.redisQueue.add(job.name, { ...job.data, schedule }, {
+        ...opts,
+        jobId: job.id,
+        delay: getDelayUntil(new Date(schedule.sendAt))
+      });
+    } else {
+      const job = this.store.get(parseInt(jobId));
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+
+      if (!['delayed', 'waiting'].includes(job.state)) {
+        throw new Error(`Cannot reschedule job ${jobId} in state ${job.state}`);
+      }
+
+      const index = this.queue.findIndex(j => j.id === job.id);
+      if (index > -1) {
+        this.queue.splice(index, 1);
+      }
+
+      this.store.update(job, {
+        state: 'delayed',
+        sendAt: schedule.sendAt,
+        retryAt: null,
+        data: { ...job.data, schedule }
+      });
+      this.promoteDueJobs();
+    }
+
+    logger.info(`🗓️ Job ${jobId} rescheduled for ${schedule.sendAt}`);
+    return { id: String(jobId), sendAt: schedule.sendAt, timezone: schedule.timezone };
+  }
+
+  async getJobStatus(jobId) {
+    if (this.redisQueue) {
+      // Redis queue
+      const job = await this.redisQueue.getJob(jobId);
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+
+      let state = await job.getState();
       const progress = job.progress();
+      // Paused jobs are parked in Bull's failed set until resumeJob retries them
+      if (state === 'failed' && job.data.pausedAt) {
+        state = 'paused';
+      }
 
-      return {
+      const status = {
         id: jobId,
+        type: job.name,
         state,
         progress,
         result: job.returnvalue,
         createdAt: new Date(job.timestamp),
         processedAt: job.processedOn ? new Date(job.processedOn) : null,
         finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+        sendAt: job.data.schedule ? job.data.schedule.sendAt : null,
         attempts: job.attemptsMade,
-        maxAttempts: job.opts.attempts
+        maxAttempts: job.opts.attempts,
+        checkpoint: this.formatCheckpoint(await this.getSavedCheckpoint(job)),
+        retryOf: (job.data.options && job.data.options.retryOf) || null,
+        retries: job.data.retries || [],
+        scheduleId: (job.data.options && job.data.options.scheduleId) || null,
+        parentId: job.data.parentId || null,
+        control: await this.getJobControl(job, false),
+        ...this.getJobLabels(job)
       };
+
+      if (job.name === 'bulk-email' && job.data.childIds) {
+        return this.applyCampaignStatus(status, await this.getCampaign(job.id), job.data.childIds);
+      }
+      return status;
     } else {
       // Memory queue
-      const job = this.jobs.get(parseInt(jobId));
+      const job = this.store.get(parseInt(jobId));
       if (!job) {
         throw new Error(`Job ${jobId} not found`);
       }
 
-      return {
+      const status = {
         id: jobId,
+        type: job.type,
         state: job.state,
         progress: job.progress,
         result: job.result,
         createdAt: job.createdAt,
         processedAt: job.processedAt,
         finishedAt: job.finishedAt,
+        sendAt: job.sendAt || null,
         attempts: job.attempts,
-        maxAttempts: job.maxAttempts
+        maxAttempts: job.maxAttempts,
+        checkpoint: this.formatCheckpoint(job.checkpoint),
+        retryOf: (job.data.options && job.data.options.retryOf) || null,
+        retries: job.retries || [],
+        scheduleId: (job.data.options && job.data.options.scheduleId) || null,
+        parentId: job.data.parentId || null,
+        control: job.control || null,
+        ...this.getJobLabels(job)
       };
+
+      if (job.childIds) {
+        return this.applyCampaignStatus(status, job.campaign, job.childIds);
+      }
+      return status;
+    }
+  }
+
+  /**
+   * Search jobs across every state. Child jobs of split bulk jobs are left
+   * out unless asked for by `type: 'bulk-batch'` or `parentId`.
+   */
+  async listJobs({ state, type, createdFrom, createdTo, tag, senderName, parentId, sortBy = 'createdAt', order = 'desc', page = 1, limit = 50 } = {}) {
+    const summaries = await this.getJobSummaries();
+    const includeChildren = type === 'bulk-batch' || Boolean(parentId);
+    const senderNeedle = senderName ? senderName.toLowerCase() : null;
+
+    const matches = summaries.filter((job) => {
+      if (!includeChildren && job.parentId) return false;
+      if (parentId && job.parentId !== String(parentId)) return false;
+      if (state && job.state !== state) return false;
+      if (type && job.type !== type) return false;
+      if (createdFrom && job.createdAt < createdFrom) return false;
+      if (createdTo && job.createdAt > createdTo) return false;
+      if (tag && !job.tags.includes(tag)) return false;
+      if (senderNeedle && !(job.senderName || '').toLowerCase().includes(senderNeedle)) return false;
+      return true;
+    });
+
+    const direction = order === 'asc' ? 1 : -1;
+    const sortValue = job => (sortBy === 'priority' ? job.priority : new Date(job[sortBy] || 0).getTime());
+    matches.sort((a, b) => (sortValue(a) - sortValue(b)) * direction);
+
+    const start = (page - 1) * limit;
+    return {
+      jobs: matches.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+
+  async getJobSummaries() {
+    if (this.redisQueue) {
+      const summaries = [];
+      // Fetch set by set so each job's state comes with it
+      for (const state of ['waiting', 'active', 'delayed', 'paused', 'completed', 'failed']) {
+        const jobs = (await this.redisQueue.getJobs([state])).filter(Boolean);
+        for (const job of jobs) {
+          if (job.name === 'recurring-campaign') continue;
+          summaries.push(await this.formatJobSummary(job, state));
+        }
+      }
+      return summaries;
+    }
+    return Promise.all(this.store.all().map(job => this.formatJobSummary(job, job.state)));
+  }
+
+  async formatJobSummary(job, state) {
+    const { data } = job;
+    const options = data.options || {};
+    const redis = this.isRedisJob(job);
+    const type = redis ? job.name : job.type;
+
+    let summary = {
+      id: String(job.id),
+      type,
+      state: redis && state === 'failed' && data.pausedAt ? 'paused' : state,
+      progress: redis ? job.progress() : job.progress,
+      priority: (redis ? job.opts.priority : job.priority) || 0,
+      createdAt: redis ? new Date(job.timestamp) : job.createdAt,
+      finishedAt: (redis ? job.finishedOn && new Date(job.finishedOn) : job.finishedAt) || null,
+      sendAt: data.schedule ? data.schedule.sendAt : null,
+      parentId: data.parentId || null,
+      senderName: (type === 'single-email' ? data.emailData.senderName : options.senderName) || null,
+      ...this.getJobLabels(job),
+      recipients: type === 'single-email' ? 1 : data.recipients.length,
+      to: type === 'single-email' ? data.emailData.to : undefined,
+      control: redis ? await this.getJobControl(job, false) : job.control || null
+    };
+
+    const childIds = redis ? data.childIds : job.childIds;
+    if (type === 'bulk-email' && childIds) {
+      const campaign = redis ? await this.getCampaign(job.id) : job.campaign;
+      const { state: aggregateState, progress, finishedAt } = this.applyCampaignStatus(summary, campaign, childIds);
+      summary = { ...summary, state: aggregateState, progress, finishedAt };
+    }
+
+    return summary;
+  }
+
+  async getJobRecipients(jobId, query = {}) {
+    const deliveries = await this.deliveryLog.query(jobId, query);
+
+    // Records outlive the job history, so only 404 when neither exists
+    if (deliveries.pagination.total === 0 && !query.status && !query.recipient) {
+      await this.getJobStatus(jobId);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Create a new bulk job containing only the recipients of `jobId` whose
+   * delivery failed, reusing the original template and options.
+   * Returns null when the job has no failed recipients.
+   */
+  async retryFailedRecipients(jobId) {
+    const job = this.redisQueue
+      ? await this.redisQueue.getJob(jobId)
+      : this.store.get(parseInt(jobId));
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    const { recipients, template, options = {} } = job.data;
+    const records = await this.deliveryLog.getRecords(String(jobId));
+    const failedEmails = new Set(
+      records.filter(record => record.status === 'failed').map(record => record.recipient.toLowerCase())
+    );
+    const failedRecipients = recipients.filter(recipient => failedEmails.has(recipient.email.toLowerCase()));
+
+    if (failedRecipients.length === 0) {
+      return null;
+    }
+
+    const retryJob = await this.addBulkEmailJob(failedRecipients, template, { ...options, retryOf: String(jobId) });
+
+    if (this.redisQueue) {
+      await job.update({ ...job.data, retries: [...(job.data.retries || []), retryJob.id] });
+    } else {
+      this.store.update(job, { retries: [...(job.retries || []), retryJob.id] });
+    }
+
+    logger.info(`🔁 Job ${retryJob.id} retries ${failedRecipients.length} failed recipients of job ${jobId}`);
+    return { id: retryJob.id, recipients: failedRecipients.length };
+  }
+
+  // Recurring campaigns
+  async listSchedules() {
+    const schedules = await this.scheduleStore.list();
+    return schedules.map(schedule => this.describeSchedule(schedule));
+  }
+
+  async getSchedule(scheduleId) {
+    const schedule = await this.scheduleStore.get(scheduleId);
+    if (!schedule) {
+      throw new Error(`Schedule ${scheduleId} not found`);
+    }
+    return this.describeSchedule(schedule);
+  }
+
+  async createSchedule(definition) {
+    const now = new Date().toISOString();
+    const schedule = {
+      id: crypto.randomUUID(),
+      ...definition,
+      history: [],
+      lastRunAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.scheduleStore.save(schedule);
+    await this.activateSchedule(schedule);
+
+    logger.info(`🗓️ Recurring schedule ${schedule.id} created (${schedule.cron})`);
+    return this.describeSchedule(schedule);
+  }
+
+  async updateSchedule(scheduleId, changes) {
+    const existing = await this.scheduleStore.get(scheduleId);
+    if (!existing) {
+      throw new Error(`Schedule ${scheduleId} not found`);
+    }
+
+    const schedule = { ...existing, ...changes, id: existing.id, updatedAt: new Date().toISOString() };
+    // Recipients come from exactly one place
+    if (changes.recipients) delete schedule.recipientSource;
+    if (changes.recipientSource) delete schedule.recipients;
+
+    await this.deactivateSchedule(existing);
+    await this.scheduleStore.save(schedule);
+    await this.activateSchedule(schedule);
+
+    logger.info(`🗓️ Recurring schedule ${scheduleId} updated`);
+    return this.describeSchedule(schedule);
+  }
+
+  async deleteSchedule(scheduleId) {
+    const existing = await this.scheduleStore.get(scheduleId);
+    if (!existing) {
+      throw new Error(`Schedule ${scheduleId} not found`);
+    }
+
+    await this.deactivateSchedule(existing);
+    await this.scheduleStore.remove(scheduleId);
+
+    logger.info(`🗑️ Recurring schedule ${scheduleId} deleted`);
+    return true;
+  }
+
+  describeSchedule(schedule) {
+    return { ...schedule, nextRunAt: this.getNextRunAt(schedule) };
+  }
+
+  getNextRunAt(schedule) {
+    if (!schedule.enabled) return null;
+    return cronParser.parseExpression(schedule.cron, {
+      tz: schedule.timezone || undefined
+    }).next().toDate().toISOString();
+  }
+
+  async activateSchedule(schedule) {
+    if (!schedule.enabled) return;
+
+    if (this.redisQueue) {
+      await this.redisQueue.add('recurring-campaign', { scheduleId: schedule.id }, {
+        repeat: { cron: schedule.cron, tz: schedule.timezone || undefined },
+        jobId: schedule.id,
+        removeOnComplete: true
+      });
+    } else {
+      this.armScheduleTimer(schedule.id);
     }
   }
 
-  async getQueueStats() {
+  async deactivateSchedule(schedule) {
+    if (this.redisQueue) {
+      await this.redisQueue.removeRepeatable('recurring-campaign', {
+        cron: schedule.cron,
+        tz: schedule.timezone || undefined,
+        jobId: schedule.id
+      });
+    } else {
+      clearTimeout(this.scheduleTimers.get(schedule.id));
+      this.scheduleTimers.delete(schedule.id);
+    }
+  }
+
+  // Memory mode: one timer per schedule, re-armed after every run
+  armScheduleTimer(scheduleId) {
+    const schedule = this.scheduleStore.schedules.get(scheduleId);
+    if (!schedule || !schedule.enabled) return;
+
+    const nextRunAt = new Date(this.getNextRunAt(schedule)).getTime();
+    // setTimeout overflows past ~24.8 days, so wake up early and re-arm
+    const maxTimeout = 2 ** 31 - 1;
+    const delay = Math.min(Math.max(0, nextRunAt - Date.now()), maxTimeout);
+
+    const timer = setTimeout(async () => {
+      if (Date.now() >= nextRunAt) {
+        await this.runSchedule(scheduleId);
+      }
+      this.armScheduleTimer(scheduleId);
+    }, delay);
+    timer.unref();
+
+    this.scheduleTimers.set(scheduleId, timer);
+  }
+
+  /**
+   * Create the bulk job for one run of a recurring schedule and record it in
+   * the schedule's history.
+   */
+  async runSchedule(scheduleId) {
+    const schedule = await this.scheduleStore.get(scheduleId);
+    if (!schedule || !schedule.enabled) return null;
+
+    const runAt = new Date().toISOString();
+    try {
+      const { recipients, duplicates } = dedupeRecipients(await this.resolveScheduleRecipients(schedule));
+      const job = await this.addBulkEmailJob(recipients, schedule.template, {
+        ...(schedule.options || {}),
+        scheduleId
+      });
+
+      await this.scheduleStore.addRun(scheduleId, { runAt, jobId: job.id, recipients: recipients.length, duplicatesRemoved: duplicates.length });
+      logger.info(`🗓️ Recurring schedule ${scheduleId} started job ${job.id}`);
+      return { jobId: job.id };
+    } catch (error) {
+      logger.error(`❌ Recurring schedule ${scheduleId} run failed:`, error);
+      await this.scheduleStore.addRun(scheduleId, { runAt, jobId: null, error: error.message });
+      return null;
+    }
+  }
+
+  async resolveScheduleRecipients(schedule) {
+    if (schedule.recipients) {
+      return schedule.recipients;
+    }
+
+    const { path, ...columns } = schedule.recipientSource;
+    // Checked again here for schedules stored before paths were restricted
+    const filePath = fileUploadService.resolveUploadPath(path);
+    if (!filePath) {
+      throw new Error(`Recipient file ${path} is outside the uploads directory`);
+    }
+    const { recipients } = await fileUploadService.parseCsvFile(filePath, columns);
+    if (recipients.length === 0) {
+      throw new Error(`No valid recipients found in ${path}`);
+    }
+    return recipients;
+  }
+
+  async getQueueStats({ tag } = {}) {
+    if (tag) {
+      return this.getTaggedQueueStats(tag);
+    }
+
     if (this.redisQueue) {
       // Redis queue stats
       const waiting = await this.redisQueue.getWaiting();
       const active = await this.redisQueue.getActive();
       const completed = await this.redisQueue.getCompleted();
       const failed = await this.redisQueue.getFailed();
+      // Repeatable schedule ticks also sit in the delayed set; count email jobs only
+      const delayed = (await this.redisQueue.getDelayed())
+        .filter(job => job.name !== 'recurring-campaign');
 
       return {
         waiting: waiting.length,
         active: active.length,
+        delayed: delayed.length,
         completed: completed.length,
         failed: failed.length,
-        total: waiting.length + active.length + completed.length + failed.length,
+        total: waiting.length + active.length + delayed.length + completed.length + failed.length,
+        ...(await this.getPauseState()),
         type: 'redis'
       };
     } else {
       // Memory queue stats
-      const waiting = this.queue.filter(job => job.state === 'waiting').length;
-      const active = this.queue.filter(job => job.state === 'active').length;
+      const waiting = this.store.count('waiting');
+      const active = this.store.count('active');
+      const delayed = this.store.count('delayed');
+      const completed = this.store.count('completed');
+      const failed = this.store.count('failed');
 
       return {
         waiting,
         active,
-        completed: this.completed.length,
-        failed: this.failed.length,
-        total: waiting + active + this.completed.length + this.failed.length,
+        delayed,
+        completed,
+        failed,
+        total: waiting + active + delayed + completed + failed,
+        ...(await this.getPauseState()),
         type: 'memory'
       };
     }
   }
 
+  // Same counts as getQueueStats, limited to jobs carrying `tag`
+  async getTaggedQueueStats(tag) {
+    const counts = { waiting: 0, active: 0, delayed: 0, completed: 0, failed: 0 };
+    (await this.getJobSummaries())
+      .filter(job => job.tags.includes(tag) && job.state in counts)
+      .forEach((job) => { counts[job.state]++; });
+
+    return {
+      ...counts,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      tag,
+      ...(await this.getPauseState()),
+      type: this.getQueueType()
+    };
+  }
+
+  /**
+   * Cancel a job. Jobs that have not started are removed; a running bulk job
+   * is asked to stop before its next recipient and records the recipients it
+   * left unsent. Cancelling a split bulk job cancels all of its children.
+   */
   async cancelJob(jobId) {
     if (this.redisQueue) {
       // Redis queue
@@ -398,84 +1577,764 @@ class UnifiedQueueService {
         throw new Error(`Job ${jobId} not found`);
       }
 
-      await job.remove();
+      const state = await job.getState();
+
+      if (job.name === 'bulk-email' && job.data.childIds) {
+        const campaign = await this.getCampaign(job.id);
+        if (campaign && this.isCampaignFinished(campaign)) {
+          throw new Error(`Cannot cancel job ${jobId} in state ${this.getCampaignState(campaign)}`);
+        }
+        await this.setJobControl(job, 'cancel');
+        await this.cancelChildJobs(job.id, job.data.childIds);
+      } else if (state === 'active') {
+        if (job.name === 'single-email') {
+          throw new Error(`Cannot cancel job ${jobId} while it is sending`);
+        }
+        await this.setJobControl(job, 'cancel');
+      } else if (job.data.parentId) {
+        if (!(await this.cancelPendingChild(jobId))) {
+          throw new Error(`Cannot cancel job ${jobId} in state ${state}`);
+        }
+      } else {
+        await job.remove();
+        this.emitJobEvent(job, 'state', { state: 'removed', cancelled: true });
+      }
+
       logger.info(`🗑️ Redis job ${jobId} cancelled`);
       return true;
     } else {
       // Memory queue
-      const job = this.jobs.get(parseInt(jobId));
+      const job = this.store.get(parseInt(jobId));
       if (!job) {
         throw new Error(`Job ${jobId} not found`);
       }
 
-      if (job.state === 'waiting') {
-        const index = this.queue.findIndex(j => j.id === job.id);
-        if (index > -1) {
-          this.queue.splice(index, 1);
+      if (job.childIds && ['active', 'paused'].includes(job.state)) {
+        await this.setJobControl(job, 'cancel');
+        await this.cancelChildJobs(job.id, job.childIds);
+      } else if (job.state === 'active' && job.type !== 'single-email') {
+        await this.setJobControl(job, 'cancel');
+      } else if (['waiting', 'delayed', 'paused'].includes(job.state)) {
+        if (job.data.parentId) {
+          await this.cancelPendingChild(job.id);
+        } else {
+          this.dequeue(job);
+          this.store.remove(job.id);
+          this.emitJobEvent(job, 'state', { state: 'removed', cancelled: true });
         }
-        
-        job.state = 'failed';
-        job.result = { error: 'Job cancelled' };
-        this.jobs.delete(job.id);
-        
-        logger.info(`🗑️ Memory job ${jobId} cancelled`);
-        return true;
+      } else if (job.state === 'active') {
+        throw new Error(`Cannot cancel job ${jobId} while it is sending`);
       } else {
         throw new Error(`Cannot cancel job ${jobId} in state ${job.state}`);
       }
+
+      logger.info(`🗑️ Memory job ${jobId} cancelled`);
+      return true;
     }
   }
 
-  async pauseQueue() {
+  /**
+   * Cancel every child of a split bulk job that has not started yet.
+   * Running children see the parent's cancel flag before their next recipient.
+   */
+  async cancelChildJobs(parentId, childIds) {
+    await this.updateCampaign(String(parentId), 'cancelled');
+
+    let cancelled = 0;
+    for (const childId of childIds) {
+      if (await this.cancelPendingChild(childId)) {
+        cancelled++;
+      }
+    }
+
+    logger.info(`🗑️ Cancelled ${cancelled}/${childIds.length} pending child jobs of bulk job ${parentId}`);
+    return cancelled;
+  }
+
+  // Cancelled children count as failed so the parent can still finish
+  async cancelPendingChild(childId) {
+    let child;
     if (this.redisQueue) {
-      await this.redisQueue.pause();
-      logger.info('⏸️ Redis queue paused');
+      child = await this.redisQueue.getJob(childId);
+      if (!child) return false;
+      const state = await child.getState();
+      const parked = state === 'failed' && child.data.pausedAt;
+      if (!parked && !['waiting', 'delayed', 'paused'].includes(state)) return false;
+      await child.remove();
     } else {
-      this.isProcessing = false;
+      child = this.store.get(parseInt(childId));
+      if (!child || !['waiting', 'delayed', 'paused'].includes(child.state)) return false;
+      this.dequeue(child);
+      this.store.update(child, {
+        state: 'failed',
+        result: { error: 'Job cancelled' },
+        finishedAt: new Date(),
+        cancelledAt: new Date().toISOString()
+      });
+    }
+
+    this.emitJobEvent(child, 'state', { state: 'failed', error: 'Job cancelled', cancelled: true });
+    const { recipients } = child.data;
+    await this.recordUnsentRecipients(child, recipients.slice((await this.getCheckpoint(child, recipients.length)).cursor));
+    await this.finishChildJob(child, 'failed');
+    return true;
+  }
+
+  async recordUnsentRecipients(job, recipients) {
+    for (const recipient of recipients) {
+      await this.recordRecipientResult(job, {
+        success: false,
+        cancelled: true,
+        recipient: recipient.email,
+        error: 'Job cancelled before sending',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Pause one job. Jobs that have not started are held back; a running bulk
+   * job stops before its next recipient and keeps its checkpoint. Pausing a
+   * split bulk job pauses all of its children.
+   */
+  async pauseJob(jobId) {
+    if (this.redisQueue) {
+      const job = await this.redisQueue.getJob(jobId);
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+
+      const status = await this.getJobStatus(jobId);
+      if (!['waiting', 'delayed', 'active'].includes(status.state)) {
+        throw new Error(`Cannot pause job ${jobId} in state ${status.state}`);
+      }
+      if (status.state === 'active' && job.name === 'single-email') {
+        throw new Error(`Cannot pause job ${jobId} while it is sending`);
+      }
+
+      // Workers park the job (or the parent's children) when they next look at it
+      await this.setJobControl(job, 'pause');
+    } else {
+      const job = this.store.get(parseInt(jobId));
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+
+      if (job.childIds && job.state === 'active') {
+        this.store.update(job, { control: 'pause' });
+        job.childIds
+          .map(childId => this.store.get(childId))
+          .filter(child => child && ['waiting', 'delayed'].includes(child.state))
+          .forEach(child => this.holdMemoryJob(child));
+      } else if (['waiting', 'delayed'].includes(job.state)) {
+        this.holdMemoryJob(job);
+      } else if (job.state === 'active' && job.type !== 'single-email') {
+        this.store.update(job, { control: 'pause' });
+      } else if (job.state === 'active') {
+        throw new Error(`Cannot pause job ${jobId} while it is sending`);
+      } else {
+        throw new Error(`Cannot pause job ${jobId} in state ${job.state}`);
+      }
+    }
+
+    logger.info(`⏸️ Job ${jobId} paused`);
+    const status = await this.getJobStatus(jobId);
+    this.emitJobEvent({ id: jobId, data: { parentId: status.parentId } }, 'state', { state: status.state, control: status.control });
+    return status;
+  }
+
+  async resumeJob(jobId) {
+    if (this.redisQueue) {
+      const job = await this.redisQueue.getJob(jobId);
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+
+      const control = await this.getJobControl(job, false);
+      const parked = job.data.pausedAt && (await job.getState()) === 'failed';
+      if (control !== 'pause' && !parked) {
+        throw new Error(`Job ${jobId} is not paused`);
+      }
+
+      await this.setJobControl(job, null);
+      if (parked) {
+        await this.unparkRedisJob(job);
+      }
+      for (const childId of job.data.childIds || []) {
+        const child = await this.redisQueue.getJob(childId);
+        if (child && child.data.pausedAt && (await child.getState()) === 'failed') {
+          await this.unparkRedisJob(child);
+        }
+      }
+    } else {
+      const job = this.store.get(parseInt(jobId));
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+
+      if (job.state !== 'paused' && job.control !== 'pause') {
+        throw new Error(`Job ${jobId} is not paused`);
+      }
+
+      if (job.state === 'paused') {
+        this.releaseMemoryJob(job);
+      } else {
+        this.store.update(job, { control: null });
+      }
+      (job.childIds || [])
+        .map(childId => this.store.get(childId))
+        .filter(child => child && child.state === 'paused')
+        .forEach(child => this.releaseMemoryJob(child));
+    }
+
+    logger.info(`▶️ Job ${jobId} resumed`);
+    const status = await this.getJobStatus(jobId);
+    this.emitJobEvent({ id: jobId, data: { parentId: status.parentId } }, 'state', { state: status.state, control: status.control });
+    return status;
+  }
+
+  holdMemoryJob(job) {
+    this.dequeue(job);
+    this.store.update(job, { state: 'paused', pausedAt: new Date().toISOString() });
+  }
+
+  releaseMemoryJob(job) {
+    const resumeAt = job.retryAt || job.sendAt;
+    const delayed = resumeAt && new Date(resumeAt).getTime() > Date.now();
+    this.store.update(job, { state: delayed ? 'delayed' : 'waiting', control: null, pausedAt: null });
+    if (!delayed) {
+      this.queue.push(job);
+      this.queue.sort((a, b) => b.priority - a.priority);
+    }
+  }
+
+  // Move a parked Redis job back to the wait list; it resumes from its checkpoint
+  async unparkRedisJob(job) {
+    const { pausedAt, ...data } = job.data;
+    await job.update(data);
+    await job.retry();
+  }
+
+  // Stop a Redis job without spending its remaining attempts
+  async stopRedisJob(job, { paused, cancelled }) {
+    // Markers keep parked and cancelled jobs out of the dead-letter queue
+    const marker = paused ? 'pausedAt' : 'cancelledAt';
+    await job.update({ ...job.data, [marker]: new Date().toISOString() });
+    job.discard();
+
+    const error = new Error(paused ? `Job ${job.id} paused` : `Job ${job.id} cancelled`);
+    error.paused = Boolean(paused);
+    error.cancelled = Boolean(cancelled);
+    throw error;
+  }
+
+  controlKey(jobId) {
+    return `email:job-control:${jobId}`;
+  }
+
+  /**
+   * Pending 'pause' or 'cancel' request for a job. Children of a split bulk
+   * job also obey their parent's request unless `inherit` is false.
+   */
+  async getJobControl(job, inherit = true) {
+    const ids = [job.id];
+    if (inherit && job.data.parentId) ids.push(job.data.parentId);
+
+    let controls;
+    if (this.redisQueue) {
+      controls = await this.redisQueue.client.mget(ids.map(id => this.controlKey(id)));
+    } else {
+      controls = ids.map(id => (this.store.get(parseInt(id)) || {}).control);
+    }
+
+    if (controls.includes('cancel')) return 'cancel';
+    if (controls.includes('pause')) return 'pause';
+    return null;
+  }
+
+  async setJobControl(job, control) {
+    if (this.redisQueue) {
+      if (control) {
+        // Expire eventually in case no worker ever picks the job up again
+        await this.redisQueue.client.set(this.controlKey(job.id), control, 'EX', 7 * 24 * 60 * 60);
+      } else {
+        await this.redisQueue.client.del(this.controlKey(job.id));
+      }
+    } else {
+      this.store.update(job, { control });
+    }
+  }
+
+  /**
+   * Stop taking new jobs. Jobs already running finish first. Pausing a paused
+   * queue (or resuming a running one) changes nothing.
+   */
+  async pauseQueue() {
+    if (this.redisQueue) {
+      if (!(await this.redisQueue.isPaused())) {
+        await this.redisQueue.pause();
+        await this.redisQueue.client.set(this.pausedAtKey(), new Date().toISOString());
+        logger.info('⏸️ Redis queue paused');
+      }
+    } else if (!this.paused) {
+      this.paused = true;
+      this.pausedAt = new Date().toISOString();
+      this.store.setMeta('pausedAt', this.pausedAt);
       logger.info('⏸️ Memory queue paused');
     }
+
+    return this.getPauseState();
   }
 
   async resumeQueue() {
     if (this.redisQueue) {
-      await this.redisQueue.resume();
-      logger.info('▶️ Redis queue resumed');
-    } else {
-      if (!this.isProcessing) {
-        this.startMemoryQueueProcessing();
-        logger.info('▶️ Memory queue resumed');
+      if (await this.redisQueue.isPaused()) {
+        await this.redisQueue.resume();
+        await this.redisQueue.client.del(this.pausedAtKey());
+        logger.info('▶️ Redis queue resumed');
       }
+    } else if (this.paused) {
+      this.paused = false;
+      this.pausedAt = null;
+      this.store.setMeta('pausedAt', null);
+      logger.info('▶️ Memory queue resumed');
+    }
+
+    return this.getPauseState();
+  }
+
+  pausedAtKey() {
+    return 'email:queue:pausedAt';
+  }
+
+  async getPauseState() {
+    if (this.redisQueue) {
+      const paused = await this.redisQueue.isPaused();
+      return {
+        paused,
+        pausedAt: paused ? await this.redisQueue.client.get(this.pausedAtKey()) : null
+      };
     }
+    return { paused: this.paused, pausedAt: this.pausedAt };
   }
 
   async cleanQueue(olderThanMs = 24 * 60 * 60 * 1000) {
     if (this.redisQueue) {
       const completed = await this.redisQueue.clean(olderThanMs, 'completed');
       const failed = await this.redisQueue.clean(olderThanMs, 'failed');
+      // Counters of split bulk jobs, attempt histories and checkpoints go with their job
+      await Promise.all([...completed, ...failed].map(id => this.redisQueue.client.del(
+        this.campaignKey(id),
+        this.attemptsKey(id),
+        this.checkpointKey(id),
+        this.resultsKey(id)
+      )));
       
       logger.info(`🧹 Redis queue cleaned: ${completed} completed, ${failed} failed jobs`);
       return { completed, failed };
     } else {
       const cutoff = Date.now() - olderThanMs;
-      
-      const initialCompletedCount = this.completed.length;
-      const initialFailedCount = this.failed.length;
-      
-      this.completed = this.completed.filter(job => job.finishedAt.getTime() > cutoff);
-      this.failed = this.failed.filter(job => job.finishedAt.getTime() > cutoff);
-      
-      const cleanedCompleted = initialCompletedCount - this.completed.length;
-      const cleanedFailed = initialFailedCount - this.failed.length;
+      let cleanedCompleted = 0;
+      let cleanedFailed = 0;
+
+      // Child jobs are removed together with their parent
+      this.store.all().forEach((job) => {
+        if (job.data.parentId) return;
+        if (!job.finishedAt || job.finishedAt.getTime() > cutoff) return;
+        if (job.state === 'completed') cleanedCompleted++;
+        else if (job.state === 'failed') cleanedFailed++;
+        else return;
+        this.store.remove(job.id);
+      });
+      this.store.compact();
       
       logger.info(`🧹 Memory queue cleaned: ${cleanedCompleted} completed, ${cleanedFailed} failed jobs`);
       return { completed: cleanedCompleted, failed: cleanedFailed };
     }
   }
 
+  attemptsKey(jobId) {
+    return `email:job-attempts:${jobId}`;
+  }
+
+  // Redis mode: one list entry per failed attempt, alongside Bull's own job hash
+  async recordAttempt(job, error) {
+    const entry = { attempt: job.attemptsMade, error: error.message, failedAt: new Date().toISOString() };
+    try {
+      await this.redisQueue.client.rpush(this.attemptsKey(job.id), JSON.stringify(entry));
+      await this.redisQueue.client.ltrim(this.attemptsKey(job.id), -this.maxAttemptHistory, -1);
+    } catch (err) {
+      logger.error(`Failed to record attempt history for job ${job.id}:`, err);
+    }
+  }
+
+  async getAttemptHistory(job) {
+    if (this.redisQueue) {
+      const entries = await this.redisQueue.client.lrange(this.attemptsKey(job.id), 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    }
+    return job.attemptHistory || [];
+  }
+
+  /**
+   * Dead-letter queue: jobs that failed for good after using up their
+   * attempts. Cancelled and paused jobs, and split bulk parents (whose
+   * failure is their children's), are not dead letters.
+   */
+  async getDeadLetterJobs() {
+    if (this.redisQueue) {
+      const failed = await this.redisQueue.getFailed();
+      return failed.filter(job => !job.data.pausedAt && !job.data.cancelledAt);
+    }
+    return this.store.byState('failed').filter(job => this.isMemoryDeadLetter(job));
+  }
+
+  isMemoryDeadLetter(job) {
+    return job.state === 'failed' && !job.cancelledAt && !job.childIds;
+  }
+
+  // History trimming never drops dead letters, nor a bulk parent whose children include some
+  keepInHistory(job) {
+    return this.isMemoryDeadLetter(job) || (job.childIds || [])
+      .map(childId => this.store.get(childId))
+      .some(child => child && this.isMemoryDeadLetter(child));
+  }
+
+  formatDeadLetter(job) {
+    if (this.redisQueue) {
+      return {
+        id: String(job.id),
+        type: job.name,
+        parentId: job.data.parentId || null,
+        error: job.failedReason || null,
+        attempts: job.attemptsMade,
+        maxAttempts: job.opts.attempts,
+        createdAt: new Date(job.timestamp),
+        failedAt: job.finishedOn ? new Date(job.finishedOn) : null
+      };
+    }
+    return {
+      id: String(job.id),
+      type: job.type,
+      parentId: job.data.parentId || null,
+      error: (job.result && job.result.error) || null,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      createdAt: job.createdAt,
+      failedAt: job.finishedAt || null
+    };
+  }
+
+  async findDeadLetters({ type, error, failedAfter, failedBefore } = {}) {
+    const jobs = await this.getDeadLetterJobs();
+    return jobs
+      .map(job => ({ job, entry: this.formatDeadLetter(job) }))
+      .filter(({ entry }) => {
+        if (type && entry.type !== type) return false;
+        if (error && !(entry.error || '').toLowerCase().includes(error.toLowerCase())) return false;
+        if (failedAfter && (!entry.failedAt || entry.failedAt < failedAfter)) return false;
+        if (failedBefore && (!entry.failedAt || entry.failedAt > failedBefore)) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.entry.failedAt).getTime() - new Date(a.entry.failedAt).getTime());
+  }
+
+  async listDeadLetters({ page = 1, limit = 50, ...filter } = {}) {
+    const matches = await this.findDeadLetters(filter);
+    const start = (page - 1) * limit;
+
+    const jobs = [];
+    for (const { job, entry } of matches.slice(start, start + limit)) {
+      jobs.push({ ...entry, attemptHistory: await this.getAttemptHistory(job) });
+    }
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+
+  async requeueDeadLetter(jobId) {
+    const job = this.redisQueue
+      ? await this.redisQueue.getJob(jobId)
+      : this.store.get(parseInt(jobId));
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    const deadLetters = await this.getDeadLetterJobs();
+    if (!deadLetters.some(deadLetter => String(deadLetter.id) === String(job.id))) {
+      throw new Error(`Job ${jobId} is not in the dead-letter queue`);
+    }
+
+    return this.requeueJob(job);
+  }
+
+  async requeueDeadLetters(filter = {}) {
+    const matches = await this.findDeadLetters(filter);
+    const ids = [];
+    for (const { job } of matches) {
+      ids.push(await this.requeueJob(job));
+    }
+
+    logger.info(`♻️ Requeued ${ids.length} dead-letter jobs`);
+    return ids;
+  }
+
+  // Give a dead job a fresh set of attempts; bulk children resume from their checkpoint
+  async requeueJob(job) {
+    if (this.redisQueue) {
+      await this.redisQueue.client.hset(this.redisQueue.toKey(job.id), 'attemptsMade', 0);
+      await job.retry();
+    } else {
+      this.store.update(job, { state: 'waiting', attempts: 0, retryAt: null, result: null, finishedAt: null });
+      this.queue.push(job);
+      this.queue.sort((a, b) => b.priority - a.priority);
+    }
+
+    if (job.data.parentId) {
+      await this.updateCampaign(job.data.parentId, 'childrenFailed', -1);
+    }
+
+    logger.info(`♻️ Dead-letter job ${job.id} requeued`);
+    return String(job.id);
+  }
+
+  async purgeDeadLetters(filter = {}) {
+    const matches = await this.findDeadLetters(filter);
+    for (const { job } of matches) {
+      if (this.redisQueue) {
+        await job.remove();
+        await this.redisQueue.client.del(this.attemptsKey(job.id), this.checkpointKey(job.id), this.resultsKey(job.id));
+      } else {
+        this.store.remove(job.id);
+      }
+    }
+
+    logger.info(`🧹 Purged ${matches.length} dead-letter jobs`);
+    return matches.length;
+  }
+
+  // Webhook event name for a job event, or null when no webhook cares
+  toWebhookEvent({ event, parentId, state, final, success, skipped, cancelled }) {
+    if (event === 'state' && !parentId && (state === 'completed' || state === 'failed')) {
+      return `job.${state}`;
+    }
+    if (event === 'recipient' && final && !skipped && !cancelled) {
+      return success ? 'recipient.sent' : 'recipient.failed';
+    }
+    return null;
+  }
+
+  async notifyWebhooks(jobEvent) {
+    const type = this.toWebhookEvent(jobEvent);
+    if (!type) return;
+
+    try {
+      const webhooks = (await this.webhookStore.list()).filter(webhook => webhook.enabled && webhook.events.includes(type));
+      const { event, timestamp, ...data } = jobEvent;
+      webhooks.forEach(webhook => this.deliverWebhook(webhook, {
+        id: crypto.randomUUID(),
+        event: type,
+        createdAt: timestamp,
+        data
+      }));
+    } catch (error) {
+      logger.error(`Failed to dispatch ${type} webhooks for job ${jobEvent.jobId}:`, error);
+    }
+  }
+
+  signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST one event to a subscriber. Anything but a 2xx response is retried
+   * with exponential backoff until `webhookRetry.attempts` is used up; every
+   * attempt is written to the webhook's delivery log.
+   */
+  async deliverWebhook(webhook, payload, attempt = 1) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'bulk-email-server-webhook',
+          'X-Webhook-Id': payload.id,
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.signWebhookPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(this.webhookTimeout)
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    const retrying = Boolean(error) && attempt < this.webhookRetry.attempts;
+    try {
+      await this.webhookStore.addDelivery(webhook.id, {
+        deliveryId: payload.id,
+        event: payload.event,
+        jobId: payload.data.jobId || null,
+        attempt,
+        status: error ? (retrying ? 'retrying' : 'failed') : 'delivered',
+        responseStatus,
+        error,
+        durationMs: Date.now() - startedAt,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      logger.error(`Failed to log delivery ${payload.id} of webhook ${webhook.id}:`, err);
+    }
+
+    if (!error) {
+      logger.info(`🪝 Webhook ${webhook.id} received ${payload.event} (${payload.id})`);
+      return true;
+    }
+
+    if (retrying) {
+      const delay = getBackoffDelay(this.webhookRetry, attempt);
+      logger.warn(`⚠️ Webhook ${webhook.id} delivery ${payload.id} failed (${error}), retrying in ${delay}ms`);
+      setTimeout(() => this.retryWebhookDelivery(webhook.id, payload, attempt + 1), delay).unref();
+    } else {
+      logger.error(`❌ Webhook ${webhook.id} delivery ${payload.id} failed after ${attempt} attempts: ${error}`);
+    }
+    return false;
+  }
+
+  // Retries use the stored subscription so a changed url or secret applies to them
+  async retryWebhookDelivery(webhookId, payload, attempt) {
+    try {
+      const webhook = await this.webhookStore.get(webhookId);
+      if (!webhook || !webhook.enabled) {
+        logger.warn(`⚠️ Webhook ${webhookId} was removed or disabled, dropping delivery ${payload.id}`);
+        return false;
+      }
+      return await this.deliverWebhook(webhook, payload, attempt);
+    } catch (error) {
+      logger.error(`Failed to retry delivery ${payload.id} of webhook ${webhookId}:`, error);
+      return false;
+    }
+  }
+
+  // Secrets are only shown once, when the webhook is created
+  describeWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+
+  async listWebhooks() {
+    const webhooks = await this.webhookStore.list();
+    return webhooks.map(webhook => this.describeWebhook(webhook));
+  }
+
+  async getWebhook(webhookId) {
+    const webhook = await this.webhookStore.get(webhookId);
+    if (!webhook) {
+      throw new Error(`Webhook ${webhookId} not found`);
+    }
+    return this.describeWebhook(webhook);
+  }
+
+  async createWebhook(definition) {
+    const now = new Date().toISOString();
+    const webhook = {
+      id: crypto.randomUUID(),
+      ...definition,
+      secret: definition.secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.webhookStore.save(webhook);
+    logger.info(`🪝 Webhook ${webhook.id} created for ${webhook.events.join(', ')}`);
+    return { ...this.describeWebhook(webhook), secret: webhook.secret };
+  }
+
+  async updateWebhook(webhookId, changes) {
+    const existing = await this.webhookStore.get(webhookId);
+    if (!existing) {
+      throw new Error(`Webhook ${webhookId} not found`);
+    }
+
+    const webhook = { ...existing, ...changes, id: existing.id, updatedAt: new Date().toISOString() };
+    await this.webhookStore.save(webhook);
+
+    logger.info(`🪝 Webhook ${webhookId} updated`);
+    return this.describeWebhook(webhook);
+  }
+
+  async deleteWebhook(webhookId) {
+    if (!(await this.webhookStore.remove(webhookId))) {
+      throw new Error(`Webhook ${webhookId} not found`);
+    }
+    logger.info(`🗑️ Webhook ${webhookId} deleted`);
+    return true;
+  }
+
+  async listWebhookDeliveries(webhookId, { page = 1, limit = 50 } = {}) {
+    await this.getWebhook(webhookId);
+    const deliveries = await this.webhookStore.listDeliveries(webhookId);
+    const start = (page - 1) * limit;
+    return {
+      deliveries: deliveries.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: deliveries.length,
+        totalPages: Math.ceil(deliveries.length / limit)
+      }
+    };
+  }
+
+  // Send a webhook.test event right away, whatever events the webhook subscribes to
+  async testWebhook(webhookId) {
+    const webhook = await this.webhookStore.get(webhookId);
+    if (!webhook) {
+      throw new Error(`Webhook ${webhookId} not found`);
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event: 'webhook.test',
+      createdAt: new Date().toISOString(),
+      data: { webhookId }
+    };
+    const delivered = await this.deliverWebhook(webhook, payload);
+    return { deliveryId: payload.id, delivered };
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  // Stop memory workers, schedule timers and the Bull queue so the process can exit
+  async close() {
+    this.isProcessing = false;
+    this.scheduleTimers.forEach(timer => clearTimeout(timer));
+    this.scheduleTimers.clear();
+    if (this.redisQueue) {
+      await this.redisQueue.close();
+    }
+  }
+
   getQueueType() {
     return this.redisQueue ? 'redis' : 'memory';
   }
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Recurring campaign definitions and their run history.
+ * Kept in a local JSON file, or in a Redis hash when the Redis queue is
+ * active so every server instance sees the same schedules.
+ */
+class ScheduleStore {
+  constructor(filePath = process.env.SCHEDULE_STORE_PATH || path.join(process.cwd(), 'data', 'schedules.json')) {
+    this.filePath = filePath;
+    this.schedules = new Map();
+    this.redis = null;
+    this.maxHistory = 50;
+  }
+
+  load() {
+    this.schedules.clear();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      try {
+        JSON.parse(fs.readFileSync(this.filePath, 'utf8')).forEach(schedule => this.schedules.set(schedule.id, schedule));
+      } catch (error) {
+        logger.error(`❌ Failed to read schedule store ${this.filePath}:`, error);
+      }
+    }
+
+    logger.info(`🗓️ Schedule store loaded ${this.schedules.size} recurring schedules`);
+  }
+
+  useRedis(client) {
+    this.redis = client;
+  }
+
+  redisKey() {
+    return 'email:schedules';
+  }
+
+  persist() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.schedules.values()), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async list() {
+    if (this.redis) {
+      const values = await this.redis.hvals(this.redisKey());
+      return values.map(value => JSON.parse(value));
+    }
+    return Array.from(this.schedules.values());
+  }
+
+  async get(id) {
+    if (this.redis) {
+      const raw = await this.redis.hget(this.redisKey(), id);
+      return raw ? JSON.parse(raw) : null;
+    }
+    return this.schedules.get(id) || null;
+  }
+
+  async save(schedule) {
+    if (this.redis) {
+      await this.redis.hset(this.redisKey(), schedule.id, JSON.stringify(schedule));
+    } else {
+      this.schedules.set(schedule.id, schedule);
+      this.persist();
+    }
+    return schedule;
+  }
+
+  async remove(id) {
+    if (this.redis) {
+      return (await this.redis.hdel(this.redisKey(), id)) > 0;
+    }
+    const removed = this.schedules.delete(id);
+    if (removed) this.persist();
+    return removed;
+  }
+
+  async addRun(id, run) {
+    const schedule = await this.get(id);
+    if (!schedule) return null;
+
+    schedule.history = [run, ...(schedule.history || [])].slice(0, this.maxHistory);
+    schedule.lastRunAt = run.runAt;
+    return this.save(schedule);
+  }
+}
+
+module.exports = ScheduleStore;
@@ -0,0 +1,180 @@
+const logger = require('../utils/logger');
+const { getRecipientDomains } = require('../utils/recipients');
+
+const WINDOWS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Account limit keys and the window each one covers
+const ACCOUNT_WINDOWS = {
+  perSecond: 'second',
+  perHour: 'hour',
+  perDay: 'day'
+};
+
+const UNIT_ALIASES = {
+  s: 'second', sec: 'second', second: 'second',
+  m: 'minute', min: 'minute', minute: 'minute',
+  h: 'hour', hour: 'hour',
+  d: 'day', day: 'day'
+};
+
+/**
+ * Holds up to `limit` tokens and refills them evenly over one `per` window,
+ * so a burst never exceeds `limit` and the long-run rate is `limit`/window.
+ */
+class TokenBucket {
+  constructor(name, limit, per) {
+    this.name = name;
+    this.limit = limit;
+    this.per = per;
+    this.intervalMs = WINDOWS[per];
+    this.tokens = limit;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    const refilled = ((now - this.updatedAt) * this.limit) / this.intervalMs;
+    this.tokens = Math.min(this.limit, this.tokens + refilled);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until one token is available
+  getWaitTime(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) * this.intervalMs) / this.limit);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  getStatus() {
+    this.refill();
+    return { limit: this.limit, per: this.per, available: Math.floor(this.tokens) };
+  }
+}
+
+// "gmail.com=60/min, yahoo.com=20/min, *=300/hour" -> Map(domain -> { limit, per })
+function parseDomainLimits(value) {
+  const limits = new Map();
+
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const match = entry.match(/^([^=\s]+)\s*=\s*(\d+)\s*\/\s*([a-z]+)$/i);
+    const per = match && UNIT_ALIASES[match[3].toLowerCase()];
+    if (!match || !per || parseInt(match[2]) < 1) {
+      logger.warn(`⚠️ Ignoring invalid DOMAIN_RATE_LIMITS entry "${entry}"`);
+      return;
+    }
+    limits.set(match[1].toLowerCase(), { limit: parseInt(match[2]), per });
+  });
+
+  return limits;
+}
+
+/**
+ * Central send throttle shared by every path that calls
+ * EmailService.sendSingleEmail (direct sends and both queue backends).
+ * Buckets live in this process: with several server instances each one
+ * enforces the limits on its own.
+ */
+class Throttler {
+  constructor() {
+    this.accountDefaults = {
+      perSecond: parseInt(process.env.ACCOUNT_RATE_PER_SECOND) || 1,
+      perHour: parseInt(process.env.ACCOUNT_RATE_PER_HOUR) || null,
+      perDay: parseInt(process.env.ACCOUNT_RATE_PER_DAY) || null
+    };
+    this.domainLimits = parseDomainLimits(process.env.DOMAIN_RATE_LIMITS);
+    this.maxWait = parseInt(process.env.THROTTLE_MAX_WAIT) || 60 * 1000;
+    this.buckets = new Map();
+  }
+
+  getAccountLimits(account) {
+    return { ...this.accountDefaults, ...(account.rateLimits || {}) };
+  }
+
+  getBucket(key, name, limit, per) {
+    const existing = this.buckets.get(key);
+    if (existing && existing.limit === limit && existing.per === per) {
+      return existing;
+    }
+    // New, or its limit was reconfigured
+    const bucket = new TokenBucket(name, limit, per);
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  getAccountBuckets(account) {
+    const limits = this.getAccountLimits(account);
+    return Object.entries(ACCOUNT_WINDOWS)
+      .filter(([key]) => limits[key])
+      .map(([key, per]) => this.getBucket(`account:${account.id}:${key}`, `account ${account.email} per ${per}`, limits[key], per));
+  }
+
+  // Each domain gets its own bucket; "*" is the default for domains without an entry
+  getDomainBucket(domain) {
+    const config = this.domainLimits.get(domain) || this.domainLimits.get('*');
+    if (!config) return null;
+    return this.getBucket(`domain:${domain}`, `domain ${domain} per ${config.per}`, config.limit, config.per);
+  }
+
+  /**
+   * Wait until the account and every recipient domain have a token, then take
+   * one from each. Throws an ERATELIMIT error (transient, so queued jobs retry
+   * with backoff) when the wait would exceed THROTTLE_MAX_WAIT.
+   */
+  async acquire(account, to) {
+    const buckets = [
+      ...this.getAccountBuckets(account),
+      ...getRecipientDomains(to).map(domain => this.getDomainBucket(domain)).filter(Boolean)
+    ];
+    const deadline = Date.now() + this.maxWait;
+
+    for (;;) {
+      const now = Date.now();
+      const waits = buckets.map(bucket => ({ bucket, wait: bucket.getWaitTime(now) }));
+      const slowest = waits.reduce((max, entry) => (entry.wait > max.wait ? entry : max), { wait: 0 });
+
+      if (slowest.wait === 0) {
+        buckets.forEach(bucket => bucket.take());
+        return;
+      }
+
+      if (now + slowest.wait > deadline) {
+        const error = new Error(`Send rate limit reached for ${slowest.bucket.name}, next slot in ${Math.ceil(slowest.wait / 1000)}s`);
+        error.code = 'ERATELIMIT';
+        throw error;
+      }
+
+      logger.debug(`⏳ Throttling send for ${slowest.wait}ms (${slowest.bucket.name})`);
+      await new Promise(resolve => setTimeout(resolve, slowest.wait));
+    }
+  }
+
+  getAccountStatus(account) {
+    const limits = this.getAccountLimits(account);
+    return Object.fromEntries(Object.entries(ACCOUNT_WINDOWS)
+      .filter(([key]) => limits[key])
+      .map(([key, per]) => [key, this.getBucket(`account:${account.id}:${key}`, `account ${account.email} per ${per}`, limits[key], per).getStatus()]));
+  }
+
+  getDomainStatus() {
+    return Array.from(this.domainLimits.entries()).map(([domain, { limit, per }]) => ({
+      domain,
+      limit,
+      per,
+      // "*" has no bucket of its own; list the domains it has throttled so far
+      buckets: Array.from(this.buckets.entries())
+        .filter(([key]) => key.startsWith('domain:'))
+        .map(([key, bucket]) => ({ domain: key.slice('domain:'.length), ...bucket.getStatus() }))
+        .filter(entry => (domain === '*' ? !this.domainLimits.has(entry.domain) : entry.domain === domain))
+    }));
+  }
+}
+
+module.exports = new Throttler();
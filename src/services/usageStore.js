@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { isValidTimeZone, getZonedDate, getNextZonedMidnight } = require('../utils/schedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ROLLING_HOURS = 24;
+
+/**
+ * Per-account send counters: a calendar-day count that resets at midnight in
+ * USAGE_RESET_TIMEZONE, and a rolling 24h count kept in hourly buckets.
+ * Kept in a local JSON file, or in Redis when the Redis queue is active so
+ * every server instance counts against the same totals.
+ */
+class UsageStore {
+  constructor(filePath = process.env.USAGE_STORE_PATH || path.join(process.cwd(), 'data', 'usage.json')) {
+    this.filePath = filePath;
+    this.usage = new Map(); // account id -> { date, daily, hourly: { hourIndex: count } }
+    this.redis = null;
+    this.timeZone = this.resolveTimeZone(process.env.USAGE_RESET_TIMEZONE);
+  }
+
+  resolveTimeZone(timeZone) {
+    const fallback = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      logger.warn(`⚠️ Invalid USAGE_RESET_TIMEZONE "${timeZone}", using ${fallback}`);
+      return fallback;
+    }
+    return timeZone || fallback;
+  }
+
+  load() {
+    this.usage.clear();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      try {
+        Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8'))).forEach(([id, usage]) => this.usage.set(id, usage));
+      } catch (error) {
+        logger.error(`❌ Failed to read usage store ${this.filePath}:`, error);
+      }
+    }
+
+    logger.info(`📈 Usage store loaded counters for ${this.usage.size} accounts (daily reset in ${this.timeZone})`);
+  }
+
+  useRedis(client) {
+    this.redis = client;
+  }
+
+  dailyKey(id, date) {
+    return `email:usage:${id}:daily:${date}`;
+  }
+
+  hourlyKey(id) {
+    return `email:usage:${id}:hourly`;
+  }
+
+  persist() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.usage), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  getToday(now = new Date()) {
+    return getZonedDate(now, this.timeZone);
+  }
+
+  getNextResetAt(now = new Date()) {
+    return getNextZonedMidnight(now, this.timeZone).toISOString();
+  }
+
+  // Hourly buckets that still fall inside the rolling window
+  getRollingHours(now = Date.now()) {
+    const current = Math.floor(now / HOUR_MS);
+    return Array.from({ length: ROLLING_HOURS }, (value, index) => String(current - index));
+  }
+
+  sumRolling(hourly, hours) {
+    return hours.reduce((sum, hour) => sum + (parseInt(hourly[hour]) || 0), 0);
+  }
+
+  async increment(accountId) {
+    const id = String(accountId);
+    const date = this.getToday();
+    const hour = String(Math.floor(Date.now() / HOUR_MS));
+
+    if (this.redis) {
+      const daily = await this.redis.incr(this.dailyKey(id, date));
+      await this.redis.expire(this.dailyKey(id, date), 2 * 24 * 60 * 60);
+      await this.redis.hincrby(this.hourlyKey(id), hour, 1);
+      await this.redis.expire(this.hourlyKey(id), (ROLLING_HOURS + 1) * 60 * 60);
+      const usage = await this.get(id);
+      return { ...usage, daily };
+    }
+
+    const current = this.readLocal(id, date);
+    current.daily += 1;
+    current.hourly[hour] = (current.hourly[hour] || 0) + 1;
+    this.usage.set(id, current);
+    this.persist();
+    return { date, daily: current.daily, rolling: this.sumRolling(current.hourly, this.getRollingHours()) };
+  }
+
+  // Local counters for `date`, with yesterday's count and expired hours dropped
+  readLocal(id, date) {
+    const stored = this.usage.get(id) || { date, daily: 0, hourly: {} };
+    const hours = new Set(this.getRollingHours());
+    return {
+      date,
+      daily: stored.date === date ? stored.daily : 0,
+      hourly: Object.fromEntries(Object.entries(stored.hourly || {}).filter(([hour]) => hours.has(hour)))
+    };
+  }
+
+  async get(accountId) {
+    const id = String(accountId);
+    const date = this.getToday();
+    const hours = this.getRollingHours();
+
+    if (this.redis) {
+      const [daily, hourly] = await Promise.all([
+        this.redis.get(this.dailyKey(id, date)),
+        this.redis.hgetall(this.hourlyKey(id))
+      ]);
+      const stale = Object.keys(hourly || {}).filter(hour => !hours.includes(hour));
+      if (stale.length > 0) await this.redis.hdel(this.hourlyKey(id), ...stale);
+      return { date, daily: parseInt(daily) || 0, rolling: this.sumRolling(hourly || {}, hours) };
+    }
+
+    const current = this.readLocal(id, date);
+    return { date, daily: current.daily, rolling: this.sumRolling(current.hourly, hours) };
+  }
+}
+
+module.exports = UsageStore;
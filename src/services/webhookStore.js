@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook subscriptions and a log of every delivery attempt.
+ * Subscriptions are kept in a local JSON file and delivery attempts are
+ * appended to a separate journal, so logging an attempt never rewrites the
+ * subscriptions. Both live in Redis when the Redis queue is active so every
+ * server instance delivers to the same subscriptions.
+ */
+class WebhookStore {
+  constructor(
+    filePath = process.env.WEBHOOK_STORE_PATH || path.join(process.cwd(), 'data', 'webhooks.json'),
+    deliveriesPath = process.env.WEBHOOK_DELIVERIES_PATH || path.join(process.cwd(), 'data', 'webhook-deliveries.journal')
+  ) {
+    this.filePath = filePath;
+    this.deliveriesPath = deliveriesPath;
+    this.webhooks = new Map();
+    this.deliveries = new Map(); // webhook id -> attempts, newest first
+    this.redis = null;
+    this.maxDeliveries = 200;
+    this.journalEntries = 0;
+  }
+
+  load() {
+    this.webhooks.clear();
+    this.deliveries.clear();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.mkdirSync(path.dirname(this.deliveriesPath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const { webhooks = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        webhooks.forEach(webhook => this.webhooks.set(webhook.id, webhook));
+      } catch (error) {
+        logger.error(`❌ Failed to read webhook store ${this.filePath}:`, error);
+      }
+    }
+
+    if (fs.existsSync(this.deliveriesPath)) {
+      fs.readFileSync(this.deliveriesPath, 'utf8').split('\n').forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          const { webhookId, attempt } = JSON.parse(line);
+          if (this.webhooks.has(webhookId)) this.addDeliveryLocal(webhookId, attempt);
+        } catch (error) {
+          // Ignore a partially written last line
+        }
+      });
+    }
+
+    this.compactDeliveries();
+    logger.info(`🪝 Webhook store loaded ${this.webhooks.size} webhook subscriptions`);
+  }
+
+  useRedis(client) {
+    this.redis = client;
+  }
+
+  redisKey() {
+    return 'email:webhooks';
+  }
+
+  deliveriesKey(id) {
+    return `email:webhook-deliveries:${id}`;
+  }
+
+  persist() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ webhooks: Array.from(this.webhooks.values()) }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // Rewrite the delivery journal with only the attempts still kept, oldest first
+  compactDeliveries() {
+    const tmpPath = `${this.deliveriesPath}.tmp`;
+    const lines = [];
+    this.deliveries.forEach((attempts, webhookId) => {
+      [...attempts].reverse().forEach(attempt => lines.push(JSON.stringify({ webhookId, attempt })));
+    });
+    fs.writeFileSync(tmpPath, lines.length ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmpPath, this.deliveriesPath);
+    this.journalEntries = lines.length;
+  }
+
+  addDeliveryLocal(id, attempt) {
+    this.deliveries.set(id, [attempt, ...(this.deliveries.get(id) || [])].slice(0, this.maxDeliveries));
+  }
+
+  async list() {
+    if (this.redis) {
+      const values = await this.redis.hvals(this.redisKey());
+      return values.map(value => JSON.parse(value));
+    }
+    return Array.from(this.webhooks.values());
+  }
+
+  async get(id) {
+    if (this.redis) {
+      const raw = await this.redis.hget(this.redisKey(), id);
+      return raw ? JSON.parse(raw) : null;
+    }
+    return this.webhooks.get(id) || null;
+  }
+
+  async save(webhook) {
+    if (this.redis) {
+      await this.redis.hset(this.redisKey(), webhook.id, JSON.stringify(webhook));
+    } else {
+      this.webhooks.set(webhook.id, webhook);
+      this.persist();
+    }
+    return webhook;
+  }
+
+  async remove(id) {
+    if (this.redis) {
+      await this.redis.del(this.deliveriesKey(id));
+      return (await this.redis.hdel(this.redisKey(), id)) > 0;
+    }
+    const removed = this.webhooks.delete(id);
+    this.deliveries.delete(id);
+    if (removed) {
+      this.persist();
+      this.compactDeliveries();
+    }
+    return removed;
+  }
+
+  async addDelivery(id, attempt) {
+    // The subscription may have been deleted while a retry was pending
+    if (!(await this.get(id))) return;
+
+    if (this.redis) {
+      await this.redis.lpush(this.deliveriesKey(id), JSON.stringify(attempt));
+      await this.redis.ltrim(this.deliveriesKey(id), 0, this.maxDeliveries - 1);
+      return;
+    }
+    this.addDeliveryLocal(id, attempt);
+    fs.appendFileSync(this.deliveriesPath, `${JSON.stringify({ webhookId: id, attempt })}\n`);
+    this.journalEntries++;
+
+    // Trimmed attempts stay in the journal until it is rewritten; do that once it is twice the kept size
+    const kept = Array.from(this.deliveries.values()).reduce((total, attempts) => total + attempts.length, 0);
+    if (this.journalEntries > 2 * Math.max(kept, this.maxDeliveries)) {
+      this.compactDeliveries();
+    }
+  }
+
+  async listDeliveries(id) {
+    if (this.redis) {
+      const values = await this.redis.lrange(this.deliveriesKey(id), 0, -1);
+      return values.map(value => JSON.parse(value));
+    }
+    return this.deliveries.get(id) || [];
+  }
+}
+
+module.exports = WebhookStore;
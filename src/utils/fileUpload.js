@@ -65,6 +65,20 @@ class FileUploadService {
     return upload.array('attachments', 10);
   }
 
+  /**
+   * Resolve a path given relative to the uploads directory. Returns null when
+   * it points outside uploads/ (including through a symlink), so API callers
+   * can only read files that were uploaded.
+   */
+  resolveUploadPath(filePath) {
+    const root = fs.realpathSync(uploadsDir);
+    let resolved = path.resolve(root, String(filePath));
+    if (fs.existsSync(resolved)) {
+      resolved = fs.realpathSync(resolved);
+    }
+    return resolved.startsWith(`${root}${path.sep}`) ? resolved : null;
+  }
+
   // Parse CSV file and extract email data
   async parseCsvFile(filePath, options = {}) {
     return new Promise((resolve, reject) => {
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { getQueueService } = require('../services/queueService');
+const IdempotencyStore = require('../services/idempotencyStore');
+const logger = require('./logger');
+
+// Used while the queue service is not up: direct sends do not need the queue,
+// so their keys are then kept in this process only
+const localStore = new IdempotencyStore();
+
+function getStore() {
+  const queueService = getQueueService();
+  return queueService ? queueService.idempotencyStore : localStore;
+}
+
+/**
+ * Express middleware for the send endpoints. A request carrying an
+ * `Idempotency-Key` header that was already answered gets the stored
+ * response back (with `Idempotent-Replayed: true`) instead of sending again.
+ * Reusing a key for a different request is rejected with 422, and a repeat
+ * that arrives while the first request is still running gets 409.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Validation failed', details: ['"Idempotency-Key" length must be less than or equal to 255 characters long'] });
+  }
+
+  const store = getStore();
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+  let existing;
+  try {
+    existing = await store.reserve(key, fingerprint);
+  } catch (err) {
+    logger.error('Idempotency key lookup failed:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ success: false, error: 'Idempotency-Key was already used for a different request' });
+    }
+    if (existing.state === 'pending') {
+      return res.status(409).json({ success: false, error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    logger.info(`🔁 Replaying response for Idempotency-Key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.status).json(existing.body);
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const saved = res.statusCode >= 500
+      ? store.release(key)
+      : store.complete(key, fingerprint, res.statusCode, body);
+    saved.catch(err => logger.error(`Failed to store response for Idempotency-Key ${key}:`, err));
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = idempotency;
@@ -0,0 +1,45 @@
+// Addresses are compared trimmed and lower-cased
+function normalizeRecipient(recipient) {
+  return String(recipient || '').trim().toLowerCase();
+}
+
+/**
+ * Drop repeated addresses from a recipient list, keeping the first entry
+ * (and its personalisation data) for each address.
+ */
+function dedupeRecipients(recipients) {
+  const seen = new Set();
+  const unique = [];
+  const duplicates = [];
+
+  recipients.forEach((recipient) => {
+    const email = normalizeRecipient(recipient.email);
+    if (seen.has(email)) {
+      duplicates.push(recipient.email);
+      return;
+    }
+    seen.add(email);
+    unique.push({ ...recipient, email: recipient.email.trim() });
+  });
+
+  return { recipients: unique, duplicates };
+}
+
+// Domains of a `to` value: one address, a comma-separated list or an array
+function getRecipientDomains(to) {
+  const domains = [].concat(to || [])
+    .flatMap(value => String(value).split(','))
+    .map((address) => {
+      const bracketed = address.match(/<([^>]+)>/);
+      const email = (bracketed ? bracketed[1] : address).trim();
+      return email.includes('@') ? email.slice(email.lastIndexOf('@') + 1).toLowerCase() : null;
+    })
+    .filter(Boolean);
+  return [...new Set(domains)];
+}
+
+module.exports = {
+  normalizeRecipient,
+  dedupeRecipients,
+  getRecipientDomains
+};
@@ -0,0 +1,32 @@
+function getDefaultRetryPolicy() {
+  return {
+    attempts: parseInt(process.env.QUEUE_RETRY_ATTEMPTS) || 3,
+    backoff: process.env.QUEUE_RETRY_BACKOFF === 'fixed' ? 'fixed' : 'exponential',
+    delay: parseInt(process.env.QUEUE_RETRY_DELAY) || 5000,
+    maxDelay: parseInt(process.env.QUEUE_RETRY_MAX_DELAY) || 10 * 60 * 1000
+  };
+}
+
+/**
+ * Merge a job's `options.retry` over the defaults from the environment.
+ */
+function resolveRetryPolicy(retry = {}) {
+  return { ...getDefaultRetryPolicy(), ...retry };
+}
+
+/**
+ * Delay (ms) before the next attempt after `attemptsMade` failed attempts.
+ * Same curves as Bull's built-in strategies, capped at `maxDelay`.
+ */
+function getBackoffDelay(policy, attemptsMade) {
+  const delay = policy.backoff === 'fixed'
+    ? policy.delay
+    : Math.round((2 ** attemptsMade - 1) * policy.delay);
+  return Math.min(delay, policy.maxDelay);
+}
+
+module.exports = {
+  getDefaultRetryPolicy,
+  resolveRetryPolicy,
+  getBackoffDelay
+};
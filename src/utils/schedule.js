@@ -0,0 +1,110 @@
+// Matches an explicit UTC designator or numeric offset at the end of an ISO string
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function hasExplicitOffset(value) {
+  return OFFSET_PATTERN.test(String(value).trim());
+}
+
+/**
+ * Offset (ms) of `timeZone` from UTC at the given instant.
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time ("2024-05-01T09:00") in `timeZone` to a UTC Date.
+ */
+function zonedTimeToUtc(localTime, timeZone) {
+  const match = LOCAL_TIME_PATTERN.exec(String(localTime).trim());
+  if (!match) {
+    throw new Error(`Invalid local time: ${localTime}`);
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0'] = match;
+  const millisecond = +fraction.slice(0, 3).padEnd(3, '0');
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, millisecond);
+
+  // Two passes so times next to a DST transition settle on the right offset
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+
+  return new Date(utc);
+}
+
+/**
+ * Resolve a `sendAt` value to an absolute Date. Timestamps with an explicit
+ * offset are absolute; otherwise the value is read as wall-clock time in
+ * `timeZone` (or the server's local time when no zone is given).
+ */
+function resolveSendAt(sendAt, timeZone) {
+  if (!sendAt) return null;
+
+  const date = hasExplicitOffset(sendAt) || !timeZone
+    ? new Date(sendAt)
+    : zonedTimeToUtc(sendAt, timeZone);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid sendAt: ${sendAt}`);
+  }
+  return date;
+}
+
+/**
+ * Calendar date ("2024-05-01") of the given instant in `timeZone`.
+ */
+function getZonedDate(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * UTC instant of the next midnight in `timeZone` after the given instant.
+ */
+function getNextZonedMidnight(date, timeZone) {
+  const [year, month, day] = getZonedDate(date, timeZone).split('-').map(Number);
+  const tomorrow = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+  return zonedTimeToUtc(tomorrow, timeZone);
+}
+
+function getDelayUntil(date) {
+  return date ? Math.max(0, date.getTime() - Date.now()) : 0;
+}
+
+module.exports = {
+  isValidTimeZone,
+  hasExplicitOffset,
+  zonedTimeToUtc,
+  resolveSendAt,
+  getZonedDate,
+  getNextZonedMidnight,
+  getDelayUntil
+};
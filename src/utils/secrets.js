@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v2';
+const KEY_LENGTH = 32;
+const MAX_CACHED_KEYS = 100;
+
+// scrypt is deliberately slow, so keys for payloads read back are kept, by salt, for the current secret
+const decryptionKeys = { secret: null, bySalt: new Map() };
+
+// Any passphrase works; scrypt with a per-payload salt stretches it to the 256-bit key AES-GCM needs
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(String(secret), salt, KEY_LENGTH);
+}
+
+function getDecryptionKey(secret, salt) {
+  if (decryptionKeys.secret !== secret) {
+    decryptionKeys.secret = secret;
+    decryptionKeys.bySalt.clear();
+  }
+
+  const cached = decryptionKeys.bySalt.get(salt);
+  if (cached) return cached;
+
+  const key = deriveKey(secret, Buffer.from(salt, 'base64'));
+  if (decryptionKeys.bySalt.size >= MAX_CACHED_KEYS) {
+    // Maps iterate in insertion order, so this drops the oldest key
+    decryptionKeys.bySalt.delete(decryptionKeys.bySalt.keys().next().value);
+  }
+  decryptionKeys.bySalt.set(salt, key);
+  return key;
+}
+
+/**
+ * Encrypt a JSON-serializable value with AES-256-GCM.
+ * Returns "v2:<salt>:<iv>:<auth tag>:<ciphertext>" (base64 parts).
+ */
+function encryptSecret(value, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [VERSION, salt, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret.
+ * Throws when the payload was tampered with or the secret is wrong.
+ */
+function decryptSecret(payload, secret) {
+  const parts = String(payload).split(':');
+  if (parts[0] !== VERSION || parts.length !== 5 || !parts.every(Boolean)) {
+    throw new Error('Unsupported encrypted payload');
+  }
+
+  const [, salt, iv, tag, ciphertext] = parts;
+  const key = getDecryptionKey(secret, salt);
+
+  // A fixed tag length stops a truncated tag from weakening the check
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'), { authTagLength: 16 });
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,77 @@
+// Connection-level failures: the message itself was fine, the server or network was not
+const TRANSIENT_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNECTION',
+  'ETLS',
+  'ESOCKET',
+  'EPIPE',
+  'EDNS',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EDAILYLIMIT',
+  'ERATELIMIT',
+  'ENOHEALTHYACCOUNTS'
+]);
+
+// Sending again cannot succeed without a configuration or recipient change
+const PERMANENT_CODES = new Set([
+  'EAUTH',
+  'EENVELOPE',
+  'EMESSAGE',
+  'ENOACCOUNTS'
+]);
+
+// Failures of the sending account or its server rather than of the message;
+// another account can still deliver it
+const ACCOUNT_CODES = new Set([
+  'EAUTH',
+  'ETLS',
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNECTION',
+  'ESOCKET',
+  'EPIPE',
+  'EDNS',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH'
+]);
+
+// 421 service unavailable, 454 temporary auth failure, 530/534/535 authentication
+const ACCOUNT_RESPONSE_CODES = new Set([421, 454, 530, 534, 535]);
+
+function isAuthError(error) {
+  return Boolean(error) && (error.code === 'EAUTH' || [530, 534, 535].includes(parseInt(error.responseCode)));
+}
+
+function isAccountError(error) {
+  return Boolean(error) && (ACCOUNT_CODES.has(error.code) || ACCOUNT_RESPONSE_CODES.has(parseInt(error.responseCode)));
+}
+
+/**
+ * Classify a send error as 'transient' (worth retrying) or 'permanent'.
+ * SMTP reply codes decide first (4xx transient, 5xx permanent), then
+ * Nodemailer/Node error codes. Unknown errors are treated as transient.
+ */
+function classifySmtpError(error) {
+  if (!error) return 'transient';
+
+  const responseCode = parseInt(error.responseCode);
+  if (responseCode >= 500) return 'permanent';
+  if (responseCode >= 400) return 'transient';
+
+  if (PERMANENT_CODES.has(error.code)) return 'permanent';
+  if (TRANSIENT_CODES.has(error.code)) return 'transient';
+
+  return 'transient';
+}
+
+module.exports = {
+  classifySmtpError,
+  isAuthError,
+  isAccountError
+};
@@ -59,7 +59,8 @@ class TemplateEngine {
 
   validateTemplate(templateString) {
     try {
-      Handlebars.compile(templateString);
+      // compile() is lazy and only throws on first render; parse() reports syntax errors now
+      Handlebars.parse(templateString);
       return { valid: true };
     } catch (error) {
       return { 
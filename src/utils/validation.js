@@ -1,11 +1,24 @@
 const Joi = require('joi');
+const cronParser = require('cron-parser');
+const { isValidTimeZone, hasExplicitOffset } = require('./schedule');
+const { ACCOUNT_STRATEGIES } = require('../config/accountSelection');
+const fileUploadService = require('./fileUpload');
 
-// Email validation schema
+// IANA time zone name, e.g. Asia/Ho_Chi_Minh
+const timezoneSchema = Joi.string().custom((value, helpers) => {
+  if (!isValidTimeZone(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+});
+
+// Email validation schema; surrounding whitespace is trimmed so dedupe sees the bare address
 const emailSchema = Joi.object({
-  email: Joi.string().email().required(),
+  email: Joi.string().trim().email().required(),
   name: Joi.string().optional(),
   firstName: Joi.string().optional(),
   lastName: Joi.string().optional(),
+  timezone: timezoneSchema.optional(),
   customData: Joi.object().optional()
 });
 
@@ -43,37 +56,150 @@ const singleEmailSchema = Joi.object({
   return value;
 });
 
+// ISO 8601 timestamp, kept as sent so wall-clock times stay zone-less
+const sendAtSchema = Joi.string().isoDate().prefs({ convert: false });
+
+// Per-job retry policy; omitted fields fall back to QUEUE_RETRY_* defaults
+const retrySchema = Joi.object({
+  attempts: Joi.number().integer().min(1).max(10).optional(),
+  backoff: Joi.string().valid('fixed', 'exponential').optional(),
+  delay: Joi.number().integer().min(0).max(60 * 60 * 1000).optional(),
+  maxDelay: Joi.number().integer().min(0).max(24 * 60 * 60 * 1000).optional()
+});
+
+// Job labels (tags + metadata) for attribution, filters and delivery records
+const tagsSchema = Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).unique();
+
+const metadataSchema = Joi.object().max(50).custom((value, helpers) => {
+  if (JSON.stringify(value).length > 4096) {
+    return helpers.message('"metadata" must be at most 4096 characters when serialized');
+  }
+  return value;
+});
+
+// Queued single email (POST /send-queued) adds queue options
+const queuedEmailSchema = singleEmailSchema.keys({
+  options: Joi.object({
+    priority: Joi.number().integer().min(0).max(10).optional(),
+    delay: Joi.number().integer().min(0).optional(),
+    sendAt: sendAtSchema.optional(),
+    timezone: timezoneSchema.optional(),
+    retry: retrySchema.optional(),
+    tags: tagsSchema.optional(),
+    metadata: metadataSchema.optional()
+  }).optional()
+});
+
 // Bulk email request schema
+const bulkTemplateSchema = Joi.object({
+  subject: Joi.string().required().max(998),
+  html: Joi.string().optional(),
+  text: Joi.string().optional()
+}).custom((value, helpers) => {
+  if (!value.html && !value.text) {
+    return helpers.error('any.custom', {
+      message: 'Template must include either html or text content'
+    });
+  }
+  return value;
+});
+
+// Options shared by one-off bulk jobs and recurring campaigns
+const bulkOptionsKeys = {
+  senderName: Joi.string().optional().max(100),
+  replyTo: Joi.string().email().optional(),
+  priority: Joi.number().integer().min(0).max(10).optional(),
+  delay: Joi.number().integer().min(0).optional(),
+  batchSize: Joi.number().integer().min(1).max(1000).optional(),
+  retry: retrySchema.optional(),
+  // Recipients already sent to under this key by earlier jobs are skipped
+  campaignKey: Joi.string().trim().max(200).optional(),
+  // Overrides ACCOUNT_SELECTION_STRATEGY for this job's sends
+  accountStrategy: Joi.string().valid(...ACCOUNT_STRATEGIES).optional(),
+  tags: tagsSchema.optional(),
+  metadata: metadataSchema.optional(),
+  attachments: Joi.array().items(
+    Joi.object({
+      filename: Joi.string().required(),
+      path: Joi.string().optional(),
+      content: Joi.string().optional(),
+      contentType: Joi.string().optional()
+    })
+  ).optional()
+};
+
 const bulkEmailSchema = Joi.object({
   recipients: Joi.array().items(emailSchema).min(1).max(10000).required(),
-  template: Joi.object({
-    subject: Joi.string().required().max(998),
-    html: Joi.string().optional(),
-    text: Joi.string().optional()
+  template: bulkTemplateSchema.required(),
+  options: Joi.object({
+    ...bulkOptionsKeys,
+    sendAt: sendAtSchema.optional(),
+    timezone: timezoneSchema.optional(),
+    recipientLocalTime: Joi.boolean().optional()
   }).custom((value, helpers) => {
-    if (!value.html && !value.text) {
-      return helpers.error('any.custom', {
-        message: 'Template must include either html or text content'
-      });
+    // Local-time scheduling needs a wall-clock sendAt without a UTC offset
+    if (value.recipientLocalTime && (!value.sendAt || hasExplicitOffset(value.sendAt))) {
+      return helpers.message('"options.recipientLocalTime" requires "options.sendAt" as a local time without offset');
     }
     return value;
-  }).required(),
-  options: Joi.object({
-    senderName: Joi.string().optional().max(100),
-    replyTo: Joi.string().email().optional(),
-    priority: Joi.number().integer().min(0).max(10).optional(),
-    delay: Joi.number().integer().min(0).optional(),
-    attachments: Joi.array().items(
-      Joi.object({
-        filename: Joi.string().required(),
-        path: Joi.string().optional(),
-        content: Joi.string().optional(),
-        contentType: Joi.string().optional()
-      })
-    ).optional()
   }).optional()
 });
 
+const cronSchema = Joi.string().custom((value, helpers) => {
+  try {
+    cronParser.parseExpression(value);
+    return value;
+  } catch (error) {
+    return helpers.message(`"cron" is not a valid cron expression: ${error.message}`);
+  }
+});
+
+// Recipients loaded from a CSV file in uploads/ at each run
+const recipientSourceSchema = Joi.object({
+  type: Joi.string().valid('csv').required(),
+  path: Joi.string().required().custom((value, helpers) => {
+    if (!fileUploadService.resolveUploadPath(value)) {
+      return helpers.message('"path" must be a file inside the uploads directory');
+    }
+    return value;
+  }),
+  emailColumn: Joi.string().optional(),
+  nameColumn: Joi.string().optional(),
+  firstNameColumn: Joi.string().optional(),
+  lastNameColumn: Joi.string().optional(),
+  customColumns: Joi.array().items(Joi.string()).optional()
+});
+
+// Recurring campaign (POST /schedules)
+const recurringScheduleSchema = Joi.object({
+  name: Joi.string().required().max(100),
+  cron: cronSchema.required(),
+  timezone: timezoneSchema.optional(),
+  template: bulkTemplateSchema.required(),
+  recipients: Joi.array().items(emailSchema).min(1).max(10000),
+  recipientSource: recipientSourceSchema,
+  options: Joi.object(bulkOptionsKeys).optional(),
+  enabled: Joi.boolean().default(true)
+}).xor('recipients', 'recipientSource');
+
+// Recurring campaign update (PUT /schedules/:id)
+const recurringScheduleUpdateSchema = Joi.object({
+  name: Joi.string().max(100),
+  cron: cronSchema,
+  timezone: timezoneSchema.allow(null),
+  template: bulkTemplateSchema,
+  recipients: Joi.array().items(emailSchema).min(1).max(10000),
+  recipientSource: recipientSourceSchema,
+  options: Joi.object(bulkOptionsKeys),
+  enabled: Joi.boolean()
+}).oxor('recipients', 'recipientSource').min(1);
+
+// Reschedule request (PATCH /job/:jobId/schedule)
+const rescheduleSchema = Joi.object({
+  sendAt: sendAtSchema.required(),
+  timezone: timezoneSchema.optional()
+});
+
 // Template validation schema
 const templateSchema = Joi.object({
   name: Joi.string().required().max(100),
@@ -100,11 +226,134 @@ const csvUploadSchema = Joi.object({
   customColumns: Joi.array().items(Joi.string()).optional()
 });
 
+// Delivery log query (GET /job/:jobId/recipients)
+const deliveryQuerySchema = Joi.object({
+  status: Joi.string().valid('sent', 'failed', 'skipped', 'cancelled').optional(),
+  recipient: Joi.string().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// Webhook subscriptions (POST/PUT /webhooks)
+const webhookEvents = ['job.completed', 'job.failed', 'recipient.sent', 'recipient.failed'];
+
+const webhookKeys = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  events: Joi.array().items(Joi.string().valid(...webhookEvents)).min(1).unique(),
+  secret: Joi.string().min(16).max(256),
+  description: Joi.string().max(200).allow(''),
+  enabled: Joi.boolean()
+};
+
+const webhookSchema = Joi.object({
+  ...webhookKeys,
+  url: webhookKeys.url.required(),
+  events: webhookKeys.events.required(),
+  enabled: webhookKeys.enabled.default(true)
+});
+
+const webhookUpdateSchema = Joi.object(webhookKeys).min(1);
+
+const webhookDeliveryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// Runtime sending account (POST/PUT /accounts); same fields as an EMAIL_ACCOUNTS_FILE entry
+const accountKeys = {
+  name: Joi.string().trim().max(100),
+  service: Joi.string().trim().max(50),
+  host: Joi.string().hostname(),
+  port: Joi.number().integer().min(1).max(65535),
+  secure: Joi.boolean(),
+  requireTLS: Joi.boolean(),
+  ignoreTLS: Joi.boolean(),
+  tls: Joi.object({ rejectUnauthorized: Joi.boolean() }),
+  auth: Joi.object({
+    user: Joi.string().required(),
+    pass: Joi.string().required()
+  }),
+  authMethod: Joi.string().max(20),
+  from: Joi.string().email(),
+  pool: Joi.object({
+    enabled: Joi.boolean(),
+    maxConnections: Joi.number().integer().min(1).max(100),
+    maxMessages: Joi.number().integer().min(1),
+    rateLimit: Joi.number().integer().min(1)
+  }),
+  dailyLimit: Joi.number().integer().min(1),
+  rateLimits: Joi.object({
+    perSecond: Joi.number().integer().min(1),
+    perHour: Joi.number().integer().min(1),
+    perDay: Joi.number().integer().min(1)
+  }),
+  enabled: Joi.boolean()
+};
+
+const accountSchema = Joi.object({
+  ...accountKeys,
+  enabled: accountKeys.enabled.default(true)
+}).or('service', 'host').or('from', 'auth');
+
+const accountUpdateSchema = Joi.object(accountKeys).min(1);
+
+// Queue stats filter (GET /queue/stats)
+const queueStatsQuerySchema = Joi.object({
+  tag: Joi.string().trim().max(50).optional()
+});
+
+// Job search (GET /jobs)
+const jobListQuerySchema = Joi.object({
+  state: Joi.string().valid('waiting', 'active', 'delayed', 'paused', 'completed', 'failed').optional(),
+  type: Joi.string().valid('single-email', 'bulk-email', 'bulk-batch').optional(),
+  createdFrom: Joi.date().iso().optional(),
+  createdTo: Joi.date().iso().optional(),
+  tag: Joi.string().trim().max(50).optional(),
+  senderName: Joi.string().max(100).optional(),
+  parentId: Joi.string().optional(),
+  sortBy: Joi.string().valid('createdAt', 'finishedAt', 'priority').default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// Dead-letter queue filter (GET/DELETE /dead-letter, POST /dead-letter/requeue)
+const deadLetterFilterKeys = {
+  type: Joi.string().valid('single-email', 'bulk-email', 'bulk-batch').optional(),
+  error: Joi.string().max(200).optional(),
+  failedAfter: Joi.date().iso().optional(),
+  failedBefore: Joi.date().iso().optional()
+};
+
+const deadLetterFilterSchema = Joi.object(deadLetterFilterKeys);
+
+const deadLetterQuerySchema = Joi.object({
+  ...deadLetterFilterKeys,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
 class ValidationService {
   validateSingleEmail(data) {
     return singleEmailSchema.validate(data, { abortEarly: false });
   }
 
+  validateQueuedEmail(data) {
+    return queuedEmailSchema.validate(data, { abortEarly: false });
+  }
+
+  validateReschedule(data) {
+    return rescheduleSchema.validate(data, { abortEarly: false });
+  }
+
+  validateRecurringSchedule(data) {
+    return recurringScheduleSchema.validate(data, { abortEarly: false });
+  }
+
+  validateRecurringScheduleUpdate(data) {
+    return recurringScheduleUpdateSchema.validate(data, { abortEarly: false });
+  }
+
   validateBulkEmail(data) {
     return bulkEmailSchema.validate(data, { abortEarly: false });
   }
@@ -117,6 +366,46 @@ class ValidationService {
     return csvUploadSchema.validate(data, { abortEarly: false });
   }
 
+  validateDeliveryQuery(data) {
+    return deliveryQuerySchema.validate(data, { abortEarly: false });
+  }
+
+  validateWebhook(data) {
+    return webhookSchema.validate(data, { abortEarly: false });
+  }
+
+  validateWebhookUpdate(data) {
+    return webhookUpdateSchema.validate(data, { abortEarly: false });
+  }
+
+  validateWebhookDeliveryQuery(data) {
+    return webhookDeliveryQuerySchema.validate(data, { abortEarly: false });
+  }
+
+  validateAccount(data) {
+    return accountSchema.validate(data, { abortEarly: false });
+  }
+
+  validateAccountUpdate(data) {
+    return accountUpdateSchema.validate(data, { abortEarly: false });
+  }
+
+  validateQueueStatsQuery(data) {
+    return queueStatsQuerySchema.validate(data, { abortEarly: false });
+  }
+
+  validateJobListQuery(data) {
+    return jobListQuerySchema.validate(data, { abortEarly: false });
+  }
+
+  validateDeadLetterFilter(data) {
+    return deadLetterFilterSchema.validate(data, { abortEarly: false });
+  }
+
+  validateDeadLetterQuery(data) {
+    return deadLetterQuerySchema.validate(data, { abortEarly: false });
+  }
+
   validateEmail(email) {
     const schema = Joi.string().email();
     return schema.validate(email);
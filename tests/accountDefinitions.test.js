@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { loadAccountDefinitions, normalizeDefinition, buildTransportOptions } = require('../src/config/accountDefinitions');
+
+const ACCOUNT_ENV = /^(EMAIL_|SMTP_PASSWORD)/;
+
+describe('Account definitions', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    Object.keys(process.env).filter(key => ACCOUNT_ENV.test(key)).forEach(key => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  function writeAccountsFile(name, content) {
+    const filePath = path.join(process.env.TEST_DATA_DIR, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  describe('from environment variables', () => {
+    it('treats user/pass without a host as a Gmail account', () => {
+      process.env.EMAIL_USER_1 = 'sender@gmail.com';
+      process.env.EMAIL_PASS_1 = 'app-password';
+
+      const { definitions, skipped } = loadAccountDefinitions();
+
+      expect(skipped).toEqual([]);
+      expect(definitions).toEqual([expect.objectContaining({
+        id: 1,
+        provider: 'gmail',
+        service: 'gmail',
+        from: 'sender@gmail.com',
+        auth: { user: 'sender@gmail.com', pass: 'app-password' }
+      })]);
+    });
+
+    it('reads custom SMTP settings and skips incomplete accounts', () => {
+      process.env.EMAIL_ACCOUNTS_COUNT = '2';
+      process.env.EMAIL_USER_1 = 'only-user@example.com';
+      process.env.EMAIL_HOST_2 = 'smtp.office365.com';
+      process.env.EMAIL_PORT_2 = '587';
+      process.env.EMAIL_SECURE_2 = 'false';
+      process.env.EMAIL_REQUIRE_TLS_2 = 'true';
+      process.env.EMAIL_USER_2 = 'sender@contoso.com';
+      process.env.EMAIL_PASS_2 = 'secret';
+      process.env.EMAIL_POOL_2 = 'false';
+      process.env.EMAIL_RATE_PER_HOUR_2 = '100';
+
+      const { definitions, skipped } = loadAccountDefinitions();
+
+      expect(skipped).toEqual([1]);
+      expect(definitions).toHaveLength(1);
+      expect(definitions[0]).toMatchObject({
+        id: 2,
+        provider: 'smtp',
+        host: 'smtp.office365.com',
+        port: 587,
+        secure: false,
+        requireTLS: true,
+        from: 'sender@contoso.com',
+        pool: { enabled: false },
+        rateLimits: { perHour: 100 }
+      });
+    });
+  });
+
+  describe('from EMAIL_ACCOUNTS_FILE', () => {
+    it('loads a JSON file and fills ${VAR} placeholders from the environment', () => {
+      process.env.SMTP_PASSWORD_SES = 'from-env';
+      process.env.EMAIL_ACCOUNTS_FILE = writeAccountsFile('accounts.json', JSON.stringify({
+        accounts: [
+          { host: 'email-smtp.eu-west-1.amazonaws.com', port: 465, secure: true, auth: { user: 'AKIA', pass: '${SMTP_PASSWORD_SES}' }, from: 'news@example.com' },
+          { service: 'gmail' }
+        ]
+      }));
+
+      const { definitions, skipped } = loadAccountDefinitions();
+
+      // EMAIL_USER_1 is not set, so slot 1 of the env accounts is skipped first
+      expect(skipped).toEqual([1, 3]);
+      expect(definitions).toEqual([expect.objectContaining({
+        id: 2,
+        host: 'email-smtp.eu-west-1.amazonaws.com',
+        auth: { user: 'AKIA', pass: 'from-env' },
+        from: 'news@example.com'
+      })]);
+    });
+
+    it('loads a YAML file as a plain list', () => {
+      process.env.EMAIL_ACCOUNTS_FILE = writeAccountsFile('accounts.yml', [
+        '- id: mailgun',
+        '  host: smtp.mailgun.org',
+        '  user: postmaster@mg.example.com',
+        '  pass: secret',
+        '  dailyLimit: 1000'
+      ].join('\n'));
+
+      const { definitions } = loadAccountDefinitions();
+
+      expect(definitions).toEqual([expect.objectContaining({
+        id: 'mailgun',
+        host: 'smtp.mailgun.org',
+        from: 'postmaster@mg.example.com',
+        auth: { user: 'postmaster@mg.example.com', pass: 'secret' },
+        dailyLimit: 1000
+      })]);
+    });
+  });
+
+  describe('buildTransportOptions', () => {
+    it('uses the nodemailer service shortcut for known providers', () => {
+      const options = buildTransportOptions(normalizeDefinition({ service: 'gmail', user: 'a@gmail.com', pass: 'x' }, 1));
+
+      expect(options).toEqual({
+        service: 'gmail',
+        auth: { user: 'a@gmail.com', pass: 'x' },
+        pool: true,
+        maxConnections: 5,
+        maxMessages: 100,
+        rateLimit: 5
+      });
+    });
+
+    it('passes host, TLS and auth settings through for custom SMTP', () => {
+      const options = buildTransportOptions(normalizeDefinition({
+        host: 'smtp.example.com',
+        port: '2525',
+        ignoreTLS: 'true',
+        tls: { rejectUnauthorized: false },
+        authMethod: 'LOGIN',
+        from: 'relay@example.com',
+        pool: false
+      }, 1));
+
+      expect(options).toEqual({
+        host: 'smtp.example.com',
+        port: 2525,
+        ignoreTLS: true,
+        tls: { rejectUnauthorized: false },
+        authMethod: 'LOGIN'
+      });
+    });
+  });
+});
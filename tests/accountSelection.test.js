@@ -0,0 +1,69 @@
+const { ACCOUNT_STRATEGIES, DEFAULT_STRATEGY, selectAccount } = require('../src/config/accountSelection');
+
+const accounts = ['a', 'b', 'c'].map(id => ({ id, email: `${id}@example.com` }));
+
+describe('Account selection strategies', () => {
+  let state;
+
+  beforeEach(() => {
+    state = { lastAccountId: null, weights: new Map() };
+  });
+
+  // Pick `count` times, recording the last account like EmailConfig does
+  function pickMany(strategy, count, context = {}, candidates = accounts) {
+    return Array.from({ length: count }, () => {
+      const account = selectAccount(strategy, candidates, { accounts, state, ...context });
+      state.lastAccountId = account.id;
+      return account.id;
+    });
+  }
+
+  it('lists the strategies and uses round-robin by default', () => {
+    expect(ACCOUNT_STRATEGIES).toEqual(['round-robin', 'least-used', 'weighted', 'sticky-domain']);
+    expect(DEFAULT_STRATEGY).toBe('round-robin');
+    expect(pickMany('no-such-strategy', 4)).toEqual(['a', 'b', 'c', 'a']);
+  });
+
+  it('round-robin skips accounts that are not candidates', () => {
+    state.lastAccountId = 'a';
+
+    expect(pickMany('round-robin', 3, {}, [accounts[0], accounts[2]])).toEqual(['c', 'a', 'c']);
+  });
+
+  it('least-used picks the account with the fewest sends, first one on ties', () => {
+    const usage = { a: 5, b: 2, c: 2 };
+
+    expect(pickMany('least-used', 1, { getUsage: account => usage[account.id] })).toEqual(['b']);
+  });
+
+  it('weighted spreads sends in proportion to daily quotas without bunching', () => {
+    const quota = { a: 300, b: 100, c: 0 };
+
+    const picks = pickMany('weighted', 8, { getQuota: account => quota[account.id] }, accounts.slice(0, 2));
+
+    expect(picks.filter(id => id === 'a')).toHaveLength(6);
+    expect(picks.filter(id => id === 'b')).toHaveLength(2);
+    expect(picks.join('')).not.toContain('bb');
+  });
+
+  it('sticky-domain keeps a domain on one account and only moves it when that account is gone', () => {
+    const domains = ['gmail.com', 'yahoo.com', 'example.com', 'example.org', 'outlook.com'];
+    const pick = (domain, candidates = accounts) => selectAccount('sticky-domain', candidates, { accounts, state, domain }).id;
+    const assigned = Object.fromEntries(domains.map(domain => [domain, pick(domain)]));
+
+    domains.forEach(domain => expect(pick(domain)).toBe(assigned[domain]));
+    expect(new Set(Object.values(assigned))).toEqual(new Set(['a', 'b', 'c']));
+
+    // Without "b", only the domains that were on "b" move
+    const remaining = accounts.filter(account => account.id !== 'b');
+    domains.forEach((domain) => {
+      const moved = pick(domain, remaining);
+      if (assigned[domain] === 'b') expect(moved).not.toBe('b');
+      else expect(moved).toBe(assigned[domain]);
+    });
+  });
+
+  it('sticky-domain falls back to round-robin without a recipient domain', () => {
+    expect(pickMany('sticky-domain', 3, { domain: null })).toEqual(['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-encryption-key';
+
+const app = require('../src/server');
+const emailConfig = require('../src/config/emailConfig');
+const AccountStore = require('../src/services/accountStore');
+const { encryptSecret, decryptSecret } = require('../src/utils/secrets');
+
+const auth = { user: 'runtime@example.com', pass: 'app-password' };
+
+// Port 1 refuses connections, so transporter.verify() fails without any SMTP server
+const unreachableAccount = {
+  host: '127.0.0.1',
+  port: 1,
+  from: 'runtime@example.com',
+  auth
+};
+
+// Just the hash commands AccountStore uses
+function createHashClient() {
+  const hashes = new Map();
+  const hash = key => hashes.get(key) || hashes.set(key, new Map()).get(key);
+
+  return {
+    hashes,
+    async hgetall(key) {
+      return Object.fromEntries(hash(key));
+    },
+    async hset(key, field, value) {
+      const entries = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+      entries.forEach(([name, entry]) => hash(key).set(name, entry));
+    },
+    async hdel(key, ...fields) {
+      fields.forEach(name => hash(key).delete(name));
+    }
+  };
+}
+
+describe('Account credential encryption', () => {
+  it('decrypts what it encrypted', () => {
+    const payload = encryptSecret(auth, 'secret');
+
+    expect(payload.startsWith('v2:')).toBe(true);
+    expect(payload).not.toContain(auth.pass);
+    expect(decryptSecret(payload, 'secret')).toEqual(auth);
+  });
+
+  it('uses a fresh salt and iv for every payload', () => {
+    const [, saltA, ivA] = encryptSecret(auth, 'secret').split(':');
+    const [, saltB, ivB] = encryptSecret(auth, 'secret').split(':');
+
+    expect(saltA).not.toBe(saltB);
+    expect(ivA).not.toBe(ivB);
+  });
+
+  it('rejects a tampered ciphertext or auth tag', () => {
+    const parts = encryptSecret(auth, 'secret').split(':');
+    const flip = (value) => {
+      const bytes = Buffer.from(value, 'base64');
+      bytes[0] ^= 1;
+      return bytes.toString('base64');
+    };
+
+    const tamperedCiphertext = [...parts.slice(0, 4), flip(parts[4])].join(':');
+    const tamperedTag = [...parts.slice(0, 3), flip(parts[3]), parts[4]].join(':');
+    const truncatedTag = [...parts.slice(0, 3), Buffer.from(parts[3], 'base64').subarray(0, 4).toString('base64'), parts[4]].join(':');
+
+    expect(() => decryptSecret(tamperedCiphertext, 'secret')).toThrow();
+    expect(() => decryptSecret(tamperedTag, 'secret')).toThrow();
+    expect(() => decryptSecret(truncatedTag, 'secret')).toThrow();
+  });
+
+  it('rejects the wrong key and unknown formats', () => {
+    const payload = encryptSecret(auth, 'secret');
+    expect(decryptSecret(payload, 'secret')).toEqual(auth);
+    // The key cached for this salt must not be reused for another secret
+    expect(() => decryptSecret(payload, 'other-secret')).toThrow();
+    expect(() => decryptSecret('v9:a:b:c', 'secret')).toThrow('Unsupported encrypted payload');
+    expect(() => decryptSecret('v1:aXY=:dGFn:Y3Q=', 'secret')).toThrow('Unsupported encrypted payload');
+  });
+});
+
+describe('AccountStore', () => {
+  const record = {
+    id: 'acc-1',
+    definition: { host: 'smtp.example.com', from: auth.user, auth },
+    enabled: true
+  };
+  let filePath;
+
+  beforeEach(() => {
+    filePath = path.join(process.env.TEST_DATA_DIR, `accounts-${crypto.randomUUID()}.json`);
+  });
+
+  it('stores credentials encrypted and decodes them on read', async () => {
+    const store = new AccountStore(filePath);
+    store.load();
+    await store.save(record);
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    expect(raw).not.toContain(auth.pass);
+    expect(JSON.parse(raw)[0].definition.auth).toBeUndefined();
+
+    const reloaded = new AccountStore(filePath);
+    reloaded.load();
+    expect(reloaded.get('acc-1').definition.auth).toEqual(auth);
+  });
+
+  it('refuses to store credentials without ACCOUNT_ENCRYPTION_KEY', async () => {
+    const store = new AccountStore(filePath);
+    store.encryptionKey = null;
+    store.load();
+
+    await expect(store.save(record)).rejects.toMatchObject({ code: 'ENOENCRYPTIONKEY' });
+    expect(store.list()).toEqual([]);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('skips records it cannot decrypt instead of dropping them', async () => {
+    const store = new AccountStore(filePath);
+    store.load();
+    await store.save(record);
+
+    const rotated = new AccountStore(filePath);
+    rotated.encryptionKey = 'another-key';
+    rotated.load();
+
+    expect(rotated.list()).toEqual([]);
+    expect(rotated.records.has('acc-1')).toBe(true);
+  });
+
+  describe('with Redis', () => {
+    it('copies file accounts to Redis when Redis has none', async () => {
+      const fileStore = new AccountStore(filePath);
+      fileStore.load();
+      await fileStore.save(record);
+
+      const redis = createHashClient();
+      const store = new AccountStore(filePath);
+      store.load();
+      await store.useRedis(redis);
+
+      expect(redis.hashes.get('email:accounts').has('acc-1')).toBe(true);
+      expect(store.get('acc-1').definition.auth).toEqual(auth);
+    });
+
+    it('loads the accounts kept in Redis over the local file', async () => {
+      const redis = createHashClient();
+      const first = new AccountStore(filePath);
+      first.load();
+      await first.useRedis(redis);
+      await first.save(record);
+
+      const second = new AccountStore(path.join(process.env.TEST_DATA_DIR, 'other-instance.json'));
+      second.load();
+      await second.useRedis(redis);
+
+      expect(second.get('acc-1').definition.auth).toEqual(auth);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('removes accounts from Redis', async () => {
+      const redis = createHashClient();
+      const store = new AccountStore(filePath);
+      store.load();
+      await store.useRedis(redis);
+      await store.save(record);
+
+      expect(await store.remove('acc-1')).toBe(true);
+      expect(await store.remove('acc-1')).toBe(false);
+      expect(redis.hashes.get('email:accounts').size).toBe(0);
+    });
+  });
+});
+
+describe('POST /api/email/accounts', () => {
+  afterEach(() => {
+    emailConfig.accountStore.encryptionKey = process.env.ACCOUNT_ENCRYPTION_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it('does not store an account that fails verification', async () => {
+    const before = emailConfig.accounts.length;
+
+    const res = await request(app)
+      .post('/api/email/accounts')
+      .send(unreachableAccount)
+      .expect(422);
+
+    expect(res.body.error).toMatch(/^Account verification failed/);
+    expect(emailConfig.accounts).toHaveLength(before);
+    expect(emailConfig.accountStore.list()).toEqual([]);
+    expect(fs.existsSync(process.env.ACCOUNT_STORE_PATH)).toBe(false);
+  });
+
+  it('stores a verified account with its credentials encrypted', async () => {
+    jest.spyOn(emailConfig, 'verifyAccount').mockResolvedValue();
+
+    const res = await request(app)
+      .post('/api/email/accounts')
+      .send(unreachableAccount)
+      .expect(201);
+
+    const stored = JSON.parse(fs.readFileSync(process.env.ACCOUNT_STORE_PATH, 'utf8'));
+    expect(stored.map(entry => entry.id)).toEqual([res.body.account.id]);
+    expect(JSON.stringify(stored)).not.toContain(auth.pass);
+    expect(emailConfig.accountStore.get(res.body.account.id).definition.auth).toEqual(auth);
+
+    await request(app).delete(`/api/email/accounts/${res.body.account.id}`).expect(200);
+    expect(emailConfig.accountStore.list()).toEqual([]);
+  });
+
+  it('returns 503 when no encryption key is configured', async () => {
+    const verify = jest.spyOn(emailConfig, 'verifyAccount');
+    emailConfig.accountStore.encryptionKey = null;
+
+    const res = await request(app)
+      .post('/api/email/accounts')
+      .send(unreachableAccount)
+      .expect(503);
+
+    expect(res.body.error).toMatch(/ACCOUNT_ENCRYPTION_KEY/);
+    expect(verify).not.toHaveBeenCalled();
+  });
+});
@@ -1,7 +1,16 @@
 const request = require('supertest');
 const app = require('../src/server');
+const { initializeQueueService, getQueueService } = require('../src/services/queueService');
 
 describe('Email API', () => {
+  beforeAll(async () => {
+    await initializeQueueService();
+  });
+
+  afterAll(async () => {
+    await getQueueService().close();
+  });
+
   describe('GET /health', () => {
     it('should return 200 and status OK', async () => {
       const res = await request(app)
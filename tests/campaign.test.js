@@ -0,0 +1,138 @@
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const template = { subject: 'Hi {{name}}', html: '<p>Hi {{name}}</p>' };
+const recipients = ['a', 'b', 'c', 'd'].map(name => ({ email: `${name}@example.com`, name }));
+
+describe('Split bulk campaigns', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getJob = id => queueService.store.get(Number(id));
+
+  // Children whose first recipient is in `emails` crash instead of sending
+  function crashBatchesStartingWith(...emails) {
+    const process = queueService.processBulkEmailWithProgress.bind(queueService);
+    return jest.spyOn(queueService, 'processBulkEmailWithProgress').mockImplementation((job, batch, ...args) => (
+      emails.includes(batch[0].email) ? Promise.reject(new Error('Batch crashed')) : process(job, batch, ...args)
+    ));
+  }
+
+  it('completes the parent once every child has completed', async () => {
+    const { id } = await queueService.addBulkEmailJob(recipients, template, { batchSize: 2 });
+
+    await waitFor(() => getJob(id).state === 'completed');
+    const parent = getJob(id);
+    expect(parent.childIds).toHaveLength(2);
+    expect(parent.childIds.map(childId => getJob(childId).state)).toEqual(['completed', 'completed']);
+    expect(parent.campaign).toMatchObject({ sent: 4, childrenDone: 2, childrenFailed: 0 });
+    expect(parent.result).toMatchObject({ total: 4, successful: 4, failed: 0, cancelled: false });
+    expect(parent.progress).toBe(100);
+  });
+
+  it('completes the parent when some children fail', async () => {
+    crashBatchesStartingWith('a@example.com');
+    const { id } = await queueService.addBulkEmailJob(recipients, template, { batchSize: 2, retry: { attempts: 1 } });
+
+    await waitFor(() => getJob(id).state === 'completed');
+    expect(getJob(id).campaign).toMatchObject({ sent: 2, childrenDone: 1, childrenFailed: 1 });
+  });
+
+  it('fails the parent when every child fails', async () => {
+    crashBatchesStartingWith('a@example.com', 'c@example.com');
+    const { id } = await queueService.addBulkEmailJob(recipients, template, { batchSize: 2, retry: { attempts: 1 } });
+
+    await waitFor(() => getJob(id).state === 'failed');
+    expect(getJob(id).campaign).toMatchObject({ sent: 0, childrenDone: 0, childrenFailed: 2 });
+    expect(emailService.sendSingleEmail).not.toHaveBeenCalled();
+  });
+
+  it('reopens a finished parent when a dead child is requeued', async () => {
+    const crash = crashBatchesStartingWith('a@example.com');
+    const { id } = await queueService.addBulkEmailJob(recipients, template, { batchSize: 2, retry: { attempts: 1 } });
+    await waitFor(() => getJob(id).state === 'completed');
+
+    const [deadChildId] = getJob(id).childIds;
+    expect(getJob(deadChildId).state).toBe('failed');
+    crash.mockRestore();
+    // Pause so the reopened parent can be observed before the child runs again
+    await queueService.pauseQueue();
+
+    await queueService.requeueDeadLetter(String(deadChildId));
+
+    expect(getJob(id)).toMatchObject({ state: 'active', result: null, finishedAt: null });
+    expect(getJob(id).campaign).toMatchObject({ childrenDone: 1, childrenFailed: 0 });
+
+    await queueService.resumeQueue();
+    await waitFor(() => getJob(id).state === 'completed');
+    expect(getJob(id).campaign).toMatchObject({ sent: 4, childrenDone: 2, childrenFailed: 0 });
+  });
+
+  describe('with Redis counters', () => {
+    let hash;
+    let finishedEvents;
+
+    // Enough of a Redis hash for updateCampaign
+    const client = {
+      hincrby: async (key, field, amount) => { hash[field] = String(parseInt(hash[field] || 0) + amount); },
+      hgetall: async () => ({ ...hash }),
+      hsetnx: async (key, field, value) => {
+        if (field in hash) return 0;
+        hash[field] = String(value);
+        return 1;
+      },
+      hdel: async (key, field) => { delete hash[field]; }
+    };
+
+    beforeEach(() => {
+      hash = { total: '4', sent: '4', failed: '0', skipped: '0', unsent: '0', childrenTotal: '2', childrenDone: '0', childrenFailed: '0', cancelled: '0' };
+      finishedEvents = [];
+      queueService.redisQueue = { client };
+      jest.spyOn(queueService, 'emitJobEvent').mockImplementation((job, event, data) => {
+        if (event === 'state') finishedEvents.push(data.state);
+      });
+    });
+
+    afterEach(() => {
+      queueService.redisQueue = null;
+    });
+
+    it('reports a campaign finished once when its last children finish together', async () => {
+      await Promise.all([
+        queueService.updateCampaign('42', 'childrenDone'),
+        queueService.updateCampaign('42', 'childrenDone')
+      ]);
+
+      expect(finishedEvents).toEqual(['completed']);
+      expect(hash.finishedAt).toBeDefined();
+    });
+
+    it('clears finishedAt when a requeued child reopens the campaign', async () => {
+      await queueService.updateCampaign('42', 'childrenDone');
+      await queueService.updateCampaign('42', 'childrenFailed');
+      expect(hash.finishedAt).toBeDefined();
+
+      await queueService.updateCampaign('42', 'childrenFailed', -1);
+      expect(hash.finishedAt).toBeUndefined();
+
+      await queueService.updateCampaign('42', 'childrenDone');
+      expect(finishedEvents).toEqual(['completed', 'completed']);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const template = { subject: 'Hi {{name}}', html: '<p>Hi {{name}}</p>', text: 'Hi {{name}}' };
+const recipients = ['a', 'b', 'c', 'd'].map(name => ({ email: `${name}@example.com`, name }));
+
+describe('Bulk job checkpoints', () => {
+  let queueService;
+  let nextId = 1000;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // A batch job in the store but not in the run queue, so only the test drives it
+  function createBatchJob(changes = {}) {
+    return queueService.store.create({
+      id: ++nextId,
+      type: 'bulk-batch',
+      data: { recipients, template, options: {} },
+      state: 'active',
+      progress: 0,
+      createdAt: new Date(),
+      priority: 0,
+      attempts: 1,
+      maxAttempts: 3,
+      ...changes
+    });
+  }
+
+  const sentTo = () => emailService.sendSingleEmail.mock.calls.map(([emailData]) => emailData.to);
+
+  it('resumes from the saved cursor without resending earlier recipients', async () => {
+    const job = createBatchJob({ checkpoint: { cursor: 2, total: 4, sent: 2, failed: 0, skipped: 0, inFlight: null, retry: [], deferred: [] } });
+
+    const result = await queueService.processBulkEmailWithProgress(job, recipients, template, {});
+
+    expect(sentTo()).toEqual(['c@example.com', 'd@example.com']);
+    expect(result).toMatchObject({ total: 4, successful: 4, failed: 0, skipped: 0 });
+    expect(job.checkpoint).toMatchObject({ cursor: 4, sent: 4, inFlight: null });
+  });
+
+  it('skips the recipient that was in flight when the previous attempt crashed', async () => {
+    const job = createBatchJob({ checkpoint: { cursor: 1, total: 4, sent: 1, failed: 0, skipped: 0, inFlight: 1, retry: [], deferred: [] } });
+
+    const result = await queueService.processBulkEmailWithProgress(job, recipients, template, {});
+
+    expect(sentTo()).toEqual(['c@example.com', 'd@example.com']);
+    expect(result).toMatchObject({ successful: 3, skipped: 1 });
+    expect(job.recipientResults).toEqual(expect.arrayContaining([
+      expect.objectContaining({ recipient: 'b@example.com', skipped: true })
+    ]));
+  });
+
+  it('defers transient failures and resends only those recipients on the next attempt', async () => {
+    emailService.sendSingleEmail.mockImplementation(async emailData => (emailData.to === 'b@example.com'
+      ? { success: false, recipient: emailData.to, error: '421 Try again later', errorType: 'transient' }
+      : sentResult(emailData)));
+    const job = createBatchJob();
+
+    await expect(queueService.processBulkEmailWithProgress(job, recipients, template, {}))
+      .rejects.toThrow('1 recipients failed with transient errors and will be retried');
+    expect(job.checkpoint).toMatchObject({ cursor: 4, sent: 3, failed: 0, retry: [1], deferred: [] });
+
+    emailService.sendSingleEmail.mockClear();
+    emailService.sendSingleEmail.mockImplementation(async emailData => sentResult(emailData));
+    queueService.store.update(job, { attempts: 2 });
+
+    const result = await queueService.processBulkEmailWithProgress(job, recipients, template, {});
+
+    expect(sentTo()).toEqual(['b@example.com']);
+    expect(result).toMatchObject({ successful: 4, failed: 0 });
+    expect(job.checkpoint).toMatchObject({ cursor: 4, sent: 4, retry: [] });
+  });
+
+  it('counts a transient failure as failed on the last attempt', async () => {
+    emailService.sendSingleEmail.mockImplementation(async emailData => (emailData.to === 'b@example.com'
+      ? { success: false, recipient: emailData.to, error: '421 Try again later', errorType: 'transient' }
+      : sentResult(emailData)));
+    const job = createBatchJob({ attempts: 3 });
+
+    const result = await queueService.processBulkEmailWithProgress(job, recipients, template, {});
+
+    expect(result).toMatchObject({ successful: 3, failed: 1 });
+    expect(job.checkpoint.deferred).toEqual([]);
+  });
+
+  it('retries a queued batch with backoff until the deferred recipient is sent', async () => {
+    let failures = 1;
+    emailService.sendSingleEmail.mockImplementation(async (emailData) => {
+      if (emailData.to === 'c@example.com' && failures-- > 0) {
+        return { success: false, recipient: emailData.to, error: '451 Temporary failure', errorType: 'transient' };
+      }
+      return sentResult(emailData);
+    });
+
+    const { id } = await queueService.addBulkEmailJob(recipients, template, { batchSize: 10 });
+
+    await waitFor(() => queueService.store.get(Number(id)).state === 'completed');
+    expect(sentTo().filter(to => to === 'c@example.com')).toHaveLength(2);
+    expect(sentTo()).toHaveLength(5);
+  });
+});
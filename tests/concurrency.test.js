@@ -0,0 +1,66 @@
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+describe('Concurrent memory queue workers', () => {
+  let queueService;
+  let running;
+  let releases;
+
+  beforeEach(async () => {
+    process.env.QUEUE_CONCURRENCY_SINGLE = '3';
+    running = new Set();
+    releases = [];
+    // Each send stays open until the test releases it
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(emailData => new Promise((resolve) => {
+      running.add(emailData.to);
+      releases.push(() => {
+        running.delete(emailData.to);
+        resolve(sentResult(emailData));
+      });
+    }));
+    queueService = await initializeQueueService();
+  });
+
+  afterEach(async () => {
+    delete process.env.QUEUE_CONCURRENCY_SINGLE;
+    releases.forEach(release => release());
+    jest.restoreAllMocks();
+    await queueService.close();
+  });
+
+  const addSingleJobs = count => Promise.all(Array.from({ length: count }, (value, index) => (
+    queueService.addSingleEmailJob({ to: `user${index}@example.com`, subject: 'Hi', text: 'Hi' })
+  )));
+
+  it('runs up to QUEUE_CONCURRENCY_SINGLE single-email jobs at once', async () => {
+    const jobs = await addSingleJobs(5);
+
+    await waitFor(() => running.size === 3);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(running.size).toBe(3);
+    expect(await queueService.getQueueStats()).toMatchObject({ active: 3, waiting: 2 });
+
+    // Freeing one worker lets the next job start
+    releases.shift()();
+    await waitFor(() => emailService.sendSingleEmail.mock.calls.length === 4);
+    expect(running.size).toBe(3);
+
+    await waitFor(() => {
+      releases.splice(0).forEach(release => release());
+      return jobs.every(({ id }) => queueService.store.get(Number(id)).state === 'completed');
+    });
+    expect(emailService.sendSingleEmail).toHaveBeenCalledTimes(5);
+  });
+
+  it('keeps single emails moving while a bulk batch is running', async () => {
+    await queueService.addBulkEmailJob([{ email: 'bulk@example.com' }], { subject: 'Hi', html: '<p>Hi</p>' });
+    await waitFor(() => running.has('bulk@example.com'));
+
+    const [single] = await addSingleJobs(1);
+
+    await waitFor(() => running.has('user0@example.com'));
+    releases.splice(0).forEach(release => release());
+    await waitFor(() => queueService.store.get(Number(single.id)).state === 'completed');
+  });
+});
@@ -0,0 +1,70 @@
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const rejected = emailData => ({ success: false, recipient: emailData.to, error: '550 Mailbox unavailable', errorType: 'permanent' });
+
+describe('Dead-letter queue', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+    queueService.maxHistory = 2;
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getJob = id => queueService.store.get(Number(id));
+
+  async function sendAll(addresses) {
+    const ids = [];
+    for (const to of addresses) {
+      ids.push((await queueService.addSingleEmailJob({ to, subject: 'Hi', text: 'Hi' })).id);
+    }
+    // Trimmed jobs are finished too
+    await waitFor(() => ids.every(id => !getJob(id) || ['completed', 'failed'].includes(getJob(id).state)));
+    return ids;
+  }
+
+  it('keeps dead letters when the failed history is trimmed', async () => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => rejected(emailData));
+
+    const ids = await sendAll(['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com']);
+
+    const deadLetters = await queueService.getDeadLetterJobs();
+    expect(deadLetters.map(job => String(job.id))).toEqual(expect.arrayContaining(ids));
+  });
+
+  it('still trims completed jobs', async () => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+
+    const ids = await sendAll(['e@example.com', 'f@example.com', 'g@example.com']);
+
+    // Jobs finishing in the same millisecond may be trimmed in either order
+    expect(ids.filter(id => getJob(id))).toHaveLength(2);
+    expect(queueService.store.count('completed')).toBe(2);
+  });
+
+  it('keeps a completed bulk parent while one of its children is a dead letter', async () => {
+    const process = queueService.processBulkEmailWithProgress.bind(queueService);
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+    jest.spyOn(queueService, 'processBulkEmailWithProgress').mockImplementation((job, batch, ...args) => (
+      batch[0].email === 'h@example.com' ? Promise.reject(new Error('Batch crashed')) : process(job, batch, ...args)
+    ));
+    const recipients = ['h', 'i'].map(name => ({ email: `${name}@example.com` }));
+    const { id } = await queueService.addBulkEmailJob(recipients, { subject: 'Hi', html: '<p>Hi</p>' }, { batchSize: 1, retry: { attempts: 1 } });
+    await waitFor(() => getJob(id).state === 'completed');
+    const [deadChildId] = getJob(id).childIds;
+
+    await sendAll(['j@example.com', 'k@example.com', 'l@example.com']);
+
+    expect(getJob(id)).toBeDefined();
+    expect((await queueService.getDeadLetterJobs()).map(job => job.id)).toContain(deadChildId);
+  });
+});
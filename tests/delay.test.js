@@ -0,0 +1,60 @@
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const email = { to: 'user@example.com', subject: 'Hello', text: 'Hello' };
+
+describe('Delayed memory queue jobs', () => {
+  let queueService;
+
+  beforeEach(async () => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+    queueService = await initializeQueueService();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await queueService.close();
+  });
+
+  const getJob = id => queueService.store.get(Number(id));
+
+  it('holds a job until its delay has passed', async () => {
+    const startedAt = Date.now();
+    const res = await request(app)
+      .post('/api/email/send-queued')
+      .send({ ...email, options: { delay: 300 } })
+      .expect(200);
+
+    expect(res.body.message).toBe('Single email job scheduled');
+    expect(getJob(res.body.jobId).state).toBe('delayed');
+    expect(await queueService.getQueueStats()).toMatchObject({ waiting: 0, delayed: 1 });
+
+    await waitFor(() => getJob(res.body.jobId).state === 'completed');
+    expect(getJob(res.body.jobId).processedAt.getTime() - startedAt).toBeGreaterThanOrEqual(300);
+    expect(emailService.sendSingleEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs jobs without a delay ahead of delayed ones', async () => {
+    const later = await queueService.addSingleEmailJob({ ...email, to: 'later@example.com' }, { delay: 200, priority: 10 });
+    const now = await queueService.addSingleEmailJob({ ...email, to: 'now@example.com' });
+
+    await waitFor(() => getJob(later.id).state === 'completed');
+    expect(emailService.sendSingleEmail.mock.calls.map(([emailData]) => emailData.to)).toEqual(['now@example.com', 'later@example.com']);
+    expect(getJob(now.id).finishedAt <= getJob(later.id).processedAt).toBe(true);
+  });
+
+  it('keeps the delay across a restart', async () => {
+    const { id } = await queueService.addSingleEmailJob(email, { delay: 60 * 60 * 1000 });
+    await queueService.close();
+
+    queueService = await initializeQueueService();
+
+    expect(getJob(id).state).toBe('delayed');
+    expect(queueService.queue).toHaveLength(0);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(emailService.sendSingleEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const template = { subject: 'Hi {{name}}', html: '<p>Hi {{name}}</p>' };
+const recipients = ['alice', 'bob', 'carol', 'dave'].map(name => ({ email: `${name}@example.com`, name }));
+
+describe('GET /api/email/job/:jobId/recipients', () => {
+  let queueService;
+  let jobId;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+
+    // bob is rejected for good, carol needs a second attempt
+    let carolFailures = 1;
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async (emailData) => {
+      if (emailData.to === 'bob@example.com') {
+        return { success: false, recipient: emailData.to, error: '550 Mailbox unavailable', errorType: 'permanent', senderAccount: 'sender@example.com' };
+      }
+      if (emailData.to === 'carol@example.com' && carolFailures-- > 0) {
+        return { success: false, recipient: emailData.to, error: '451 Try again later', errorType: 'transient', senderAccount: 'sender@example.com' };
+      }
+      return sentResult(emailData);
+    });
+
+    ({ id: jobId } = await queueService.addBulkEmailJob(recipients, template, { tags: ['newsletter'] }));
+    await waitFor(() => queueService.store.get(Number(jobId)).state === 'completed');
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  const getRecipients = query => request(app).get(`/api/email/job/${jobId}/recipients`).query(query).expect(200);
+
+  it('records one entry per recipient with the sender, message id and attempts', async () => {
+    const res = await getRecipients();
+
+    expect(res.body.pagination).toEqual({ page: 1, limit: 50, total: 4, totalPages: 1 });
+    const byRecipient = Object.fromEntries(res.body.recipients.map(record => [record.recipient, record]));
+    expect(byRecipient['alice@example.com']).toMatchObject({
+      status: 'sent',
+      senderAccount: 'sender@example.com',
+      messageId: '<alice@example.com@test>',
+      attempts: 1,
+      tags: ['newsletter']
+    });
+    expect(byRecipient['bob@example.com']).toMatchObject({ status: 'failed', error: '550 Mailbox unavailable', messageId: null });
+    expect(byRecipient['carol@example.com']).toMatchObject({ status: 'sent', attempts: 2, error: null });
+  });
+
+  it('filters by status and by part of the address, ignoring case', async () => {
+    const failed = await getRecipients({ status: 'failed' });
+    expect(failed.body.recipients.map(record => record.recipient)).toEqual(['bob@example.com']);
+
+    const matching = await getRecipients({ recipient: 'CAROL@' });
+    expect(matching.body.recipients.map(record => record.recipient)).toEqual(['carol@example.com']);
+  });
+
+  it('pages the records', async () => {
+    const res = await getRecipients({ limit: 3, page: 2 });
+
+    expect(res.body.recipients).toHaveLength(1);
+    expect(res.body.pagination).toEqual({ page: 2, limit: 3, total: 4, totalPages: 2 });
+  });
+
+  it('keeps the records after the job is cleaned from the queue history', async () => {
+    await queueService.cleanQueue(0);
+    expect(queueService.store.get(Number(jobId))).toBeUndefined();
+
+    const res = await getRecipients();
+    expect(res.body.pagination.total).toBe(4);
+  });
+
+  it('returns 404 for a job that never existed', async () => {
+    await request(app).get('/api/email/job/999999/recipients').expect(404);
+  });
+
+  it('rejects an unknown status filter', async () => {
+    await request(app).get(`/api/email/job/${jobId}/recipients`).query({ status: 'bounced' }).expect(400);
+  });
+});
@@ -0,0 +1,83 @@
+const path = require('path');
+const emailService = require('../src/services/emailService');
+const emailConfig = require('../src/config/emailConfig');
+const throttler = require('../src/services/throttler');
+const DeliveryLog = require('../src/services/deliveryLog');
+
+function fakeAccount(id, sendMail) {
+  return { id, email: `${id}@example.com`, inFlight: 0, transporter: { sendMail } };
+}
+
+function smtpError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+describe('EmailService.sendSingleEmail', () => {
+  let accounts;
+
+  beforeEach(() => {
+    // Hand out the fake accounts in order, like a failover round over healthy accounts
+    jest.spyOn(emailConfig, 'getNextAvailableAccount').mockImplementation(async ({ exclude = [] }) => {
+      const account = accounts.find(candidate => !exclude.includes(candidate.id));
+      if (!account) throw smtpError('No healthy email accounts available', { code: 'ENOHEALTHYACCOUNTS' });
+      return account;
+    });
+    jest.spyOn(emailConfig, 'recordAccountFailure').mockImplementation(() => {});
+    jest.spyOn(emailConfig, 'recordAccountSuccess').mockImplementation(() => {});
+    jest.spyOn(emailConfig, 'incrementAccountUsage').mockResolvedValue();
+    jest.spyOn(throttler, 'acquire').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const emailData = { to: 'user@example.com', subject: 'Hi', text: 'Hi' };
+
+  it('reports the account that sent the message', async () => {
+    accounts = [fakeAccount('first', jest.fn().mockResolvedValue({ messageId: '<1@test>', response: '250 OK' }))];
+
+    const result = await emailService.sendSingleEmail(emailData);
+
+    expect(result).toMatchObject({ success: true, senderAccount: 'first@example.com', messageId: '<1@test>' });
+  });
+
+  it('reports the account that rejected the message', async () => {
+    accounts = [fakeAccount('first', jest.fn().mockRejectedValue(smtpError('550 Mailbox unavailable', { code: 'EENVELOPE', responseCode: 550 })))];
+
+    const result = await emailService.sendSingleEmail(emailData);
+
+    expect(result).toMatchObject({ success: false, errorType: 'permanent', senderAccount: 'first@example.com' });
+    expect(result.failedAccounts).toBeUndefined();
+  });
+
+  it('reports every account tried when failover runs out of accounts', async () => {
+    const refused = jest.fn().mockRejectedValue(smtpError('Connection refused', { code: 'ECONNECTION' }));
+    accounts = [fakeAccount('first', refused), fakeAccount('second', refused)];
+
+    const result = await emailService.sendSingleEmail(emailData);
+
+    expect(result).toMatchObject({
+      success: false,
+      errorType: 'transient',
+      error: 'Connection refused',
+      senderAccount: 'second@example.com',
+      failedAccounts: ['first@example.com', 'second@example.com']
+    });
+  });
+
+  it('stores the attempted accounts of a failed send in the delivery log', async () => {
+    const refused = jest.fn().mockRejectedValue(smtpError('Connection refused', { code: 'ECONNECTION' }));
+    accounts = [fakeAccount('first', refused), fakeAccount('second', refused)];
+    const deliveryLog = new DeliveryLog(path.join(process.env.TEST_DATA_DIR, 'failed-deliveries.journal'));
+    deliveryLog.load();
+
+    await deliveryLog.record(1, await emailService.sendSingleEmail(emailData));
+
+    expect(await deliveryLog.getRecord('1', 'user@example.com')).toMatchObject({
+      status: 'failed',
+      senderAccount: 'second@example.com',
+      failedAccounts: ['first@example.com', 'second@example.com']
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const emailService = require('../src/services/emailService');
+const emailConfig = require('../src/config/emailConfig');
+const { normalizeDefinition } = require('../src/config/accountDefinitions');
+
+const emailData = { to: 'user@example.com', subject: 'Hi', text: 'Hi' };
+
+function smtpError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+const refused = () => smtpError('Connection refused', { code: 'ECONNECTION' });
+
+describe('Account failover and circuit breaker', () => {
+  const original = {};
+  let first;
+  let second;
+
+  beforeEach(() => {
+    Object.assign(original, {
+      accounts: emailConfig.accounts,
+      strategy: emailConfig.selectionStrategy,
+      cooldown: emailConfig.failureCooldown
+    });
+    // Real EmailConfig accounts whose transports never leave the process
+    [first, second] = ['first', 'second'].map((id) => {
+      const account = emailConfig.createAccount(normalizeDefinition({ id, host: 'smtp.example.com', from: `${id}@example.com`, pool: false }), 'config');
+      jest.spyOn(account.transporter, 'sendMail').mockResolvedValue({ messageId: `<${id}@test>`, response: '250 OK' });
+      return account;
+    });
+    emailConfig.accounts = [first, second];
+    emailConfig.selectionStrategy = 'round-robin';
+    emailConfig.selectionState.lastAccountId = 'second';
+  });
+
+  afterEach(() => {
+    emailConfig.accounts = original.accounts;
+    emailConfig.selectionStrategy = original.strategy;
+    emailConfig.failureCooldown = original.cooldown;
+    jest.restoreAllMocks();
+  });
+
+  it('sends through the next account when the first one cannot connect', async () => {
+    first.transporter.sendMail.mockRejectedValue(refused());
+
+    const result = await emailService.sendSingleEmail(emailData);
+
+    expect(result).toMatchObject({ success: true, senderAccount: 'second@example.com', failedAccounts: ['first@example.com'] });
+    expect(emailConfig.getAccountHealth(first)).toMatchObject({ state: 'healthy', consecutiveFailures: 1, lastError: 'Connection refused' });
+  });
+
+  it('does not fail over when the recipient is rejected', async () => {
+    first.transporter.sendMail.mockRejectedValue(smtpError('550 Mailbox unavailable', { code: 'EENVELOPE', responseCode: 550 }));
+
+    const result = await emailService.sendSingleEmail(emailData);
+
+    expect(result).toMatchObject({ success: false, errorType: 'permanent', senderAccount: 'first@example.com' });
+    expect(second.transporter.sendMail).not.toHaveBeenCalled();
+    expect(emailConfig.getAccountHealth(first).consecutiveFailures).toBe(0);
+  });
+
+  it('takes an account out of rotation straight away on an auth error', async () => {
+    first.transporter.sendMail.mockRejectedValue(smtpError('535 Authentication failed', { code: 'EAUTH', responseCode: 535 }));
+
+    await emailService.sendSingleEmail(emailData);
+    await emailService.sendSingleEmail(emailData);
+
+    expect(first.transporter.sendMail).toHaveBeenCalledTimes(1);
+    expect(second.transporter.sendMail).toHaveBeenCalledTimes(2);
+    expect(emailConfig.getAccountHealth(first)).toMatchObject({ state: 'unhealthy', unhealthyUntil: expect.any(String) });
+  });
+
+  it('opens the circuit after ACCOUNT_FAILURE_THRESHOLD consecutive connection failures', () => {
+    emailConfig.recordAccountFailure(first, refused());
+    emailConfig.recordAccountFailure(first, refused());
+    emailConfig.recordAccountSuccess(first);
+    emailConfig.recordAccountFailure(first, refused());
+    emailConfig.recordAccountFailure(first, refused());
+    expect(emailConfig.isAccountHealthy(first)).toBe(true);
+
+    emailConfig.recordAccountFailure(first, refused());
+    expect(emailConfig.isAccountHealthy(first)).toBe(false);
+  });
+
+  it('probes the account after the cooldown and closes or reopens the circuit', async () => {
+    emailConfig.failureCooldown = 20;
+    const authError = smtpError('535 Authentication failed', { code: 'EAUTH' });
+    emailConfig.recordAccountFailure(first, authError);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(emailConfig.getAccountHealth(first).state).toBe('recovering');
+
+    // One failed probe is enough to reopen it
+    emailConfig.recordAccountFailure(first, refused());
+    expect(emailConfig.getAccountHealth(first).state).toBe('unhealthy');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    emailConfig.recordAccountSuccess(first);
+    expect(emailConfig.getAccountHealth(first)).toMatchObject({ state: 'healthy', consecutiveFailures: 0 });
+  });
+
+  it('reports the original error when every account fails', async () => {
+    first.transporter.sendMail.mockRejectedValue(refused());
+    second.transporter.sendMail.mockRejectedValue(refused());
+
+    const result = await emailService.sendSingleEmail(emailData);
+
+    expect(result).toMatchObject({ success: false, errorType: 'transient', error: 'Connection refused' });
+    await expect(emailConfig.getNextAvailableAccount({ exclude: ['first', 'second'] })).rejects.toMatchObject({ code: 'ENOHEALTHYACCOUNTS' });
+  });
+
+  it('skips accounts that reached their daily limit', async () => {
+    first.dailyLimit = 1;
+    second.dailyLimit = 1;
+    jest.spyOn(emailConfig.usageStore, 'get').mockImplementation(async id => ({ date: '2025-01-01', daily: id === 'first' ? 1 : 0, rolling: 0 }));
+
+    expect((await emailConfig.getNextAvailableAccount()).id).toBe('second');
+
+    emailConfig.usageStore.get.mockResolvedValue({ date: '2025-01-01', daily: 1, rolling: 1 });
+    await expect(emailConfig.getNextAvailableAccount()).rejects.toMatchObject({ code: 'EDAILYLIMIT' });
+  });
+});
@@ -0,0 +1,25 @@
+// Poll until `check` returns a truthy value; memory queue workers run on timers
+async function waitFor(check, { timeout = 5000, interval = 10 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+// A sendSingleEmail stand-in that succeeds for every recipient
+function sentResult(emailData) {
+  return {
+    success: true,
+    messageId: `<${emailData.to}@test>`,
+    recipient: emailData.to,
+    senderAccount: 'sender@example.com'
+  };
+}
+
+module.exports = {
+  waitFor,
+  sentResult
+};
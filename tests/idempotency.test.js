@@ -0,0 +1,102 @@
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService, getQueueService } = require('../src/services/queueService');
+const { sentResult } = require('./helpers');
+
+const email = { to: 'user@example.com', subject: 'Hello', text: 'Hello' };
+
+function send(key, body = email, path = '/api/email/send') {
+  return request(app).post(path).set('Idempotency-Key', key).send(body);
+}
+
+describe('Idempotency-Key', () => {
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Direct sends do not go through the queue, so they work before it is up
+  describe('on /send without the queue service', () => {
+    it('replays the stored response for a repeated request', async () => {
+      expect(getQueueService()).toBeUndefined();
+      const first = await send('replay-1').expect(200);
+      const repeat = await send('replay-1').expect(200);
+
+      expect(repeat.headers['idempotent-replayed']).toBe('true');
+      expect(repeat.body).toEqual(first.body);
+      expect(emailService.sendSingleEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a reused key with a different body', async () => {
+      await send('mismatch-1').expect(200);
+      const res = await send('mismatch-1', { ...email, subject: 'Something else' }).expect(422);
+
+      expect(res.body.error).toBe('Idempotency-Key was already used for a different request');
+      expect(emailService.sendSingleEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a repeat while the first request is still running', async () => {
+      let finish;
+      emailService.sendSingleEmail.mockImplementation(emailData => new Promise((resolve) => {
+        finish = () => resolve(sentResult(emailData));
+      }));
+
+      const first = send('pending-1').then(res => res);
+      while (!finish) await new Promise(resolve => setTimeout(resolve, 5));
+
+      const repeat = await send('pending-1').expect(409);
+      expect(repeat.body.error).toBe('A request with this Idempotency-Key is still being processed');
+
+      finish();
+      expect((await first).status).toBe(200);
+      await send('pending-1').expect(200).expect('Idempotent-Replayed', 'true');
+    });
+
+    it('releases the key when the request fails with a server error', async () => {
+      emailService.sendSingleEmail.mockRejectedValueOnce(new Error('Transport exploded'));
+
+      await send('error-1').expect(500);
+      const retry = await send('error-1').expect(200);
+
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+      expect(emailService.sendSingleEmail).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects keys longer than 255 characters', async () => {
+      await send('k'.repeat(256)).expect(400);
+      expect(emailService.sendSingleEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('on /send-queued', () => {
+    let queueService;
+
+    beforeAll(async () => {
+      queueService = await initializeQueueService();
+      // Keep the job queued; only the HTTP answer matters here
+      await queueService.pauseQueue();
+    });
+
+    afterAll(async () => {
+      await queueService.close();
+    });
+
+    it('returns the same job instead of queueing a second one', async () => {
+      const first = await send('queued-1', email, '/api/email/send-queued').expect(200);
+      const repeat = await send('queued-1', email, '/api/email/send-queued').expect(200);
+
+      expect(repeat.headers['idempotent-replayed']).toBe('true');
+      expect(repeat.body.jobId).toBe(first.body.jobId);
+      expect(queueService.store.count('waiting')).toBe(1);
+    });
+
+    it('keeps keys of the same name apart across endpoints', async () => {
+      await send('shared-1').expect(200);
+      await send('shared-1', email, '/api/email/send-queued').expect(422);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const template = { subject: 'Hi {{name}}', html: '<p>Hi {{name}}</p>' };
+const recipients = Array.from({ length: 20 }, (value, index) => ({ email: `user${index + 1}@example.com`, name: `User ${index + 1}` }));
+
+describe('Pausing, resuming and cancelling bulk jobs', () => {
+  let queueService;
+  let sent;
+  let gate;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  // Sends succeed; the send that brings the total to `gate.at` waits until the test opens the gate
+  beforeEach(() => {
+    sent = [];
+    gate = null;
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async (emailData) => {
+      sent.push(emailData.to);
+      if (gate && sent.length === gate.at) await gate.opened;
+      return sentResult(emailData);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function holdAt(at) {
+    let open;
+    gate = { at, opened: new Promise((resolve) => { open = resolve; }) };
+    return open;
+  }
+
+  const getJob = id => queueService.store.get(Number(id));
+
+  async function countStatuses(jobId) {
+    const records = await queueService.deliveryLog.getRecords(String(jobId));
+    return records.reduce((counts, record) => ({ ...counts, [record.status]: (counts[record.status] || 0) + 1 }), {});
+  }
+
+  it('sends nothing while paused, resumes from the checkpoint and records the rest as cancelled', async () => {
+    let open = holdAt(5);
+    const { id } = await queueService.addBulkEmailJob(recipients, template, { batchSize: 20 });
+    await waitFor(() => sent.length === 5);
+
+    await queueService.pauseJob(id);
+    open();
+    const [childId] = getJob(id).childIds;
+    await waitFor(() => getJob(childId).state === 'paused');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(sent).toHaveLength(5);
+    expect(getJob(childId).checkpoint).toMatchObject({ cursor: 5, sent: 5 });
+
+    open = holdAt(10);
+    await queueService.resumeJob(id);
+    await waitFor(() => sent.length === 10);
+
+    await queueService.cancelJob(id);
+    open();
+    await waitFor(() => getJob(id).state === 'failed');
+
+    expect(sent).toEqual(recipients.slice(0, 10).map(recipient => recipient.email));
+    expect(getJob(id).result).toMatchObject({ total: 20, successful: 10, unsent: 10, cancelled: true });
+    expect(await countStatuses(id)).toEqual({ sent: 10, cancelled: 10 });
+  });
+
+  it('cancels children that have not started and stops the running one', async () => {
+    const open = holdAt(3);
+    const { id } = await queueService.addBulkEmailJob(recipients, template, { batchSize: 5 });
+    await waitFor(() => sent.length === 3);
+
+    await queueService.cancelJob(id);
+    const [running, ...pending] = getJob(id).childIds.map(getJob);
+    // cancelPendingChild fails the waiting children right away
+    expect(pending.map(child => child.state)).toEqual(['failed', 'failed', 'failed']);
+    expect(pending.every(child => child.cancelledAt)).toBe(true);
+
+    open();
+    await waitFor(() => getJob(id).state === 'failed');
+
+    expect(running.result).toMatchObject({ successful: 3, cancelled: true });
+    expect(running.result.unsent).toEqual(['user4@example.com', 'user5@example.com']);
+    expect(sent).toHaveLength(3);
+    expect(await countStatuses(id)).toEqual({ sent: 3, cancelled: 17 });
+    expect(getJob(id).campaign).toMatchObject({ sent: 3, unsent: 17, childrenFailed: 4 });
+  });
+
+  it('records the unsent recipients of a paused child when it is cancelled', async () => {
+    const open = holdAt(2);
+    const { id } = await queueService.addBulkEmailJob(recipients.slice(0, 6), template, { batchSize: 6 });
+    await waitFor(() => sent.length === 2);
+
+    await queueService.pauseJob(id);
+    open();
+    const [childId] = getJob(id).childIds;
+    await waitFor(() => getJob(childId).state === 'paused');
+
+    await queueService.cancelJob(id);
+
+    expect(getJob(childId)).toMatchObject({ state: 'failed' });
+    await waitFor(() => getJob(id).state === 'failed');
+    expect(await countStatuses(id)).toEqual({ sent: 2, cancelled: 4 });
+  });
+});
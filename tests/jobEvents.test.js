@@ -0,0 +1,99 @@
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const email = { to: 'user@example.com', subject: 'Hello', text: 'Hello' };
+
+// Read the whole event stream (it ends when the job finishes) and split it into events
+function streamEvents(jobId) {
+  return request(app)
+    .get(`/api/email/job/${jobId}/events`)
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    })
+    .then(res => ({
+      res,
+      events: res.body.split('\n\n').filter(Boolean).map((block) => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { name: eventLine.slice('event: '.length), ...JSON.parse(dataLine.slice('data: '.length)) };
+      })
+    }));
+}
+
+describe('GET /api/email/job/:jobId/events', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+    // Jobs wait until the stream is open
+    await queueService.pauseQueue();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await queueService.resumeQueue();
+  });
+
+  async function openStreamAndResume(jobId) {
+    const stream = streamEvents(jobId);
+    await waitFor(() => queueService.listenerCount('job-event') > 0);
+    await queueService.resumeQueue();
+    return stream;
+  }
+
+  it('streams the current status, then state changes and outcomes, and closes when the job completes', async () => {
+    const { id } = await queueService.addSingleEmailJob(email);
+
+    const { res, events } = await openStreamAndResume(id);
+
+    expect(res.headers['content-type']).toBe('text/event-stream');
+    expect(events[0]).toMatchObject({ name: 'status', state: 'waiting' });
+    expect(events.slice(1).map(event => [event.name, event.state || event.recipient])).toEqual([
+      ['state', 'active'],
+      ['recipient', 'user@example.com'],
+      ['state', 'completed']
+    ]);
+    expect(queueService.listenerCount('job-event')).toBe(0);
+  });
+
+  it('includes progress and recipient events of the child jobs of a bulk job', async () => {
+    const recipients = [{ email: 'a@example.com' }, { email: 'b@example.com' }];
+    const { id } = await queueService.addBulkEmailJob(recipients, { subject: 'Hi', html: '<p>Hi</p>' }, { batchSize: 1 });
+
+    const { events } = await openStreamAndResume(id);
+
+    const recipientEvents = events.filter(event => event.name === 'recipient');
+    expect(recipientEvents.map(event => event.recipient).sort()).toEqual(['a@example.com', 'b@example.com']);
+    recipientEvents.forEach(event => expect(event).toMatchObject({ parentId: id, success: true }));
+    expect(events.some(event => event.name === 'progress' && event.jobId === id)).toBe(true);
+    expect(events[events.length - 1]).toMatchObject({ name: 'state', jobId: id, state: 'completed' });
+  });
+
+  it('sends only the status of a job that has already finished', async () => {
+    await queueService.resumeQueue();
+    const { id } = await queueService.addSingleEmailJob(email);
+    await waitFor(() => queueService.store.get(Number(id)).state === 'completed');
+
+    const { events } = await streamEvents(id);
+
+    expect(events).toEqual([expect.objectContaining({ name: 'status', state: 'completed' })]);
+  });
+
+  it('returns 404 for an unknown job', async () => {
+    await request(app).get('/api/email/job/999999/events').expect(404);
+    expect(queueService.listenerCount('job-event')).toBe(0);
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const template = { subject: 'Hi', html: '<p>Hi</p>' };
+
+describe('GET /api/email/jobs', () => {
+  let queueService;
+  let jobs;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+    // Nothing runs until the children test, so states stay predictable
+    await queueService.pauseQueue();
+    // Distinct createdAt values, so the newest-first order is well defined
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    jobs = {};
+    jobs.welcome = await queueService.addSingleEmailJob(
+      { to: 'a@example.com', subject: 'Hi', text: 'Hi', senderName: 'Marketing Team' },
+      { priority: 1, tags: ['welcome'] }
+    );
+    await tick();
+    jobs.invoice = await queueService.addSingleEmailJob(
+      { to: 'b@example.com', subject: 'Hi', text: 'Hi', senderName: 'Billing' },
+      { priority: 5, tags: ['invoice'] }
+    );
+    await tick();
+    jobs.later = await queueService.addSingleEmailJob(
+      { to: 'c@example.com', subject: 'Hi', text: 'Hi' },
+      { delay: 60 * 60 * 1000, priority: 3 }
+    );
+    await tick();
+    jobs.bulk = await queueService.addBulkEmailJob(
+      [{ email: 'd@example.com' }, { email: 'e@example.com' }],
+      template,
+      { batchSize: 1, senderName: 'Marketing Team', tags: ['welcome'] }
+    );
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const listIds = async (query) => {
+    const res = await request(app).get('/api/email/jobs').query(query).expect(200);
+    return res.body.jobs.map(job => job.id);
+  };
+
+  it('lists every job, newest first by default', async () => {
+    const res = await request(app).get('/api/email/jobs').expect(200);
+
+    expect(res.body.jobs.map(job => job.id)).toEqual([jobs.bulk.id, jobs.later.id, jobs.invoice.id, jobs.welcome.id]);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 50, total: 4, totalPages: 1 });
+    expect(res.body.jobs[0]).toMatchObject({ type: 'bulk-email', state: 'waiting', recipients: 2, tags: ['welcome'] });
+  });
+
+  it('filters by state, type, tag and sender name', async () => {
+    expect(await listIds({ state: 'delayed' })).toEqual([jobs.later.id]);
+    expect(await listIds({ type: 'single-email', state: 'waiting' })).toEqual([jobs.invoice.id, jobs.welcome.id]);
+    expect(await listIds({ tag: 'welcome' })).toEqual([jobs.bulk.id, jobs.welcome.id]);
+    expect(await listIds({ tag: ' welcome ' })).toEqual([jobs.bulk.id, jobs.welcome.id]);
+    expect(await listIds({ senderName: 'marketing' })).toEqual([jobs.bulk.id, jobs.welcome.id]);
+    expect(await listIds({ createdFrom: '2099-01-01T00:00:00Z' })).toEqual([]);
+  });
+
+  it('sorts and pages the results', async () => {
+    expect(await listIds({ sortBy: 'priority', order: 'asc' })).toEqual([jobs.bulk.id, jobs.welcome.id, jobs.later.id, jobs.invoice.id]);
+
+    const res = await request(app).get('/api/email/jobs').query({ sortBy: 'priority', limit: 3, page: 2 }).expect(200);
+    expect(res.body.jobs.map(job => job.id)).toEqual([jobs.bulk.id]);
+    expect(res.body.pagination).toEqual({ page: 2, limit: 3, total: 4, totalPages: 2 });
+  });
+
+  it('rejects unknown filter values', async () => {
+    const res = await request(app).get('/api/email/jobs').query({ state: 'sleeping' }).expect(400);
+
+    expect(res.body.error).toBe('Validation failed');
+    // Same limit as the tags a job can be given
+    await request(app).get('/api/email/jobs').query({ tag: 'x'.repeat(51) }).expect(400);
+  });
+
+  it('lists the children of a split bulk job only when asked for them', async () => {
+    await queueService.resumeQueue();
+    await waitFor(() => queueService.store.get(Number(jobs.bulk.id)).state === 'completed');
+
+    const children = await listIds({ parentId: jobs.bulk.id });
+    expect(children).toHaveLength(2);
+    expect((await listIds({ type: 'bulk-batch' })).sort()).toEqual([...children].sort());
+    expect(await listIds({ state: 'completed' })).not.toContain(children[0]);
+    expect(await listIds({ type: 'bulk-email' })).toEqual([jobs.bulk.id]);
+  });
+});
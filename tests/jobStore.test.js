@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const emailService = require('../src/services/emailService');
+const JobStore = require('../src/services/jobStore');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+describe('Memory job store', () => {
+  let queueService;
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await queueService.close();
+  });
+
+  it('replays waiting and interrupted jobs from the journal after a restart', async () => {
+    queueService = await initializeQueueService();
+    // Paused so nothing is sent before the "crash"
+    await queueService.pauseQueue();
+
+    const waiting = await queueService.addSingleEmailJob({ to: 'waiting@example.com', subject: 'Hi', text: 'Hi' });
+    const interrupted = await queueService.addSingleEmailJob({ to: 'active@example.com', subject: 'Hi', text: 'Hi' });
+    const activeJob = queueService.store.get(Number(interrupted.id));
+    queueService.store.update(activeJob, { state: 'active', attempts: 1 });
+    await queueService.close();
+
+    queueService = await initializeQueueService();
+
+    expect(queueService.paused).toBe(true);
+    expect(queueService.queue.map(job => job.id).sort()).toEqual([Number(waiting.id), Number(interrupted.id)].sort());
+    expect(queueService.store.get(Number(interrupted.id)).state).toBe('waiting');
+    expect(emailService.sendSingleEmail).not.toHaveBeenCalled();
+
+    await queueService.resumeQueue();
+
+    await waitFor(() => queueService.store.count('completed') === 2);
+    const recipients = emailService.sendSingleEmail.mock.calls.map(([emailData]) => emailData.to).sort();
+    expect(recipients).toEqual(['active@example.com', 'waiting@example.com']);
+    expect(queueService.store.get(Number(interrupted.id)).attempts).toBe(2);
+  });
+
+  it('does not restore finished jobs', async () => {
+    queueService = await initializeQueueService();
+    const { id } = await queueService.addSingleEmailJob({ to: 'done@example.com', subject: 'Hi', text: 'Hi' });
+    await waitFor(() => queueService.store.get(Number(id)).state === 'completed');
+    await queueService.close();
+
+    const sends = emailService.sendSingleEmail.mock.calls.length;
+    queueService = await initializeQueueService();
+
+    expect(queueService.queue).toHaveLength(0);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(emailService.sendSingleEmail).toHaveBeenCalledTimes(sends);
+  });
+});
+
+describe('JobStore journal compaction', () => {
+  it('compacts the journal once it grows past the threshold', () => {
+    const store = new JobStore(path.join(process.env.TEST_DATA_DIR, 'compact.journal'));
+    store.compactThreshold = 4096;
+    store.load();
+
+    const job = store.create({ id: 1, type: 'single-email', data: {}, state: 'waiting', progress: 0 });
+    for (let progress = 0; progress < 500; progress++) {
+      store.update(job, { progress });
+    }
+
+    const size = fs.statSync(store.filePath).size;
+    expect(size).toBeLessThanOrEqual(4096);
+    expect(size).toBe(store.journalBytes);
+
+    const reloaded = new JobStore(store.filePath);
+    reloaded.load();
+    expect(reloaded.get(1).progress).toBe(499);
+  });
+});
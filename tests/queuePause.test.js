@@ -0,0 +1,71 @@
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const email = { to: 'user@example.com', subject: 'Hello', text: 'Hello' };
+
+describe('POST /api/email/queue/pause and /resume', () => {
+  let queueService;
+
+  beforeEach(async () => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+    queueService = await initializeQueueService();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    // The paused state is persisted, so do not hand it to the next test
+    await queueService.resumeQueue();
+    await queueService.close();
+  });
+
+  const getJob = id => queueService.store.get(Number(id));
+
+  it('keeps new jobs waiting while paused and runs them after resume', async () => {
+    const paused = await request(app).post('/api/email/queue/pause').expect(200);
+    expect(paused.body).toMatchObject({ success: true, paused: true });
+
+    const { id } = await queueService.addSingleEmailJob(email);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(getJob(id).state).toBe('waiting');
+    expect(emailService.sendSingleEmail).not.toHaveBeenCalled();
+
+    const stats = await request(app).get('/api/email/queue/stats').expect(200);
+    expect(stats.body.queue).toMatchObject({ waiting: 1, paused: true, pausedAt: paused.body.pausedAt });
+
+    const resumed = await request(app).post('/api/email/queue/resume').expect(200);
+    expect(resumed.body).toMatchObject({ success: true, paused: false, pausedAt: null });
+
+    await waitFor(() => getJob(id).state === 'completed');
+  });
+
+  it('does not change the pause time when paused again', async () => {
+    const first = await request(app).post('/api/email/queue/pause').expect(200);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await request(app).post('/api/email/queue/pause').expect(200);
+
+    expect(second.body.pausedAt).toBe(first.body.pausedAt);
+    await request(app).post('/api/email/queue/resume').expect(200);
+    await request(app).post('/api/email/queue/resume').expect(200).expect(res => expect(res.body.paused).toBe(false));
+  });
+
+  it('lets the job that is already running finish', async () => {
+    let finish;
+    emailService.sendSingleEmail.mockImplementation(emailData => new Promise((resolve) => {
+      finish = () => resolve(sentResult(emailData));
+    }));
+    const running = await queueService.addSingleEmailJob(email);
+    await waitFor(() => finish);
+
+    await queueService.pauseQueue();
+    const queued = await queueService.addSingleEmailJob({ ...email, to: 'queued@example.com' });
+    finish();
+
+    await waitFor(() => getJob(running.id).state === 'completed');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(getJob(queued.id).state).toBe('waiting');
+    expect(emailService.sendSingleEmail).toHaveBeenCalledTimes(1);
+  });
+});
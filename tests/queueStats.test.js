@@ -0,0 +1,30 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { initializeQueueService } = require('../src/services/queueService');
+
+describe('GET /api/email/queue/stats?tag=', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+    await queueService.pauseQueue();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  it('counts only the jobs carrying the tag', async () => {
+    const email = { to: 'user@example.com', subject: 'Hi', text: 'Hi' };
+    await queueService.addSingleEmailJob(email, { tags: ['newsletter'] });
+    await queueService.addSingleEmailJob(email, { tags: ['newsletter', 'weekly'] });
+    await queueService.addSingleEmailJob(email, { tags: ['receipts'] });
+
+    const res = await request(app)
+      .get('/api/email/queue/stats')
+      .query({ tag: 'newsletter' })
+      .expect(200);
+
+    expect(res.body.queue).toMatchObject({ tag: 'newsletter', waiting: 2, total: 2, paused: true, type: 'memory' });
+  });
+});
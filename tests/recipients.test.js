@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { initializeQueueService } = require('../src/services/queueService');
+const { dedupeRecipients, getRecipientDomains } = require('../src/utils/recipients');
+
+describe('dedupeRecipients', () => {
+  it('keeps the first entry of addresses that differ only in case or whitespace', () => {
+    const { recipients, duplicates } = dedupeRecipients([
+      { email: ' Ann@Example.com', name: 'Ann' },
+      { email: 'bob@example.com' },
+      { email: 'ann@example.com ', name: 'Second Ann' }
+    ]);
+
+    expect(recipients).toEqual([{ email: 'Ann@Example.com', name: 'Ann' }, { email: 'bob@example.com' }]);
+    expect(duplicates).toEqual(['ann@example.com ']);
+  });
+});
+
+describe('getRecipientDomains', () => {
+  it('reads domains from lists and display-name addresses', () => {
+    expect(getRecipientDomains(['Ann <ann@Example.com>', 'bob@example.com, carl@other.org'])).toEqual(['example.com', 'other.org']);
+  });
+});
+
+describe('POST /api/email/send-bulk recipients', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+    // Only the accepted recipient list matters here
+    await queueService.pauseQueue();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  it('accepts addresses with surrounding whitespace and dedupes them trimmed', async () => {
+    const res = await request(app)
+      .post('/api/email/send-bulk')
+      .send({
+        recipients: [{ email: ' ann@example.com ' }, { email: 'ANN@example.com' }, { email: 'bob@example.com\t' }],
+        template: { subject: 'Hi', html: '<p>Hi</p>' }
+      })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ recipients: 2, duplicatesRemoved: 1, duplicates: ['ANN@example.com'] });
+    const job = queueService.store.get(Number(res.body.jobId));
+    expect(job.data.recipients.map(recipient => recipient.email)).toEqual(['ann@example.com', 'bob@example.com']);
+  });
+});
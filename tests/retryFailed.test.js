@@ -0,0 +1,84 @@
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const template = { subject: 'Hi {{name}}', html: '<p>Hi {{name}}</p>' };
+const recipients = ['a', 'b', 'c', 'd'].map(name => ({ email: `${name}@example.com`, name }));
+
+describe('POST /api/email/job/:jobId/retry-failed', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await queueService.resumeQueue();
+  });
+
+  const getJob = id => queueService.store.get(Number(id));
+  const sentTo = () => emailService.sendSingleEmail.mock.calls.map(([emailData]) => emailData.to);
+
+  function rejectRecipients(...emails) {
+    emailService.sendSingleEmail.mockImplementation(async emailData => (emails.includes(emailData.to)
+      ? { success: false, recipient: emailData.to, error: '550 Mailbox unavailable', errorType: 'permanent' }
+      : sentResult(emailData)));
+  }
+
+  async function runBulkJob() {
+    const { id } = await queueService.addBulkEmailJob(recipients, template, { priority: 3 });
+    await waitFor(() => ['completed', 'failed'].includes(getJob(id).state));
+    return id;
+  }
+
+  it('resends only the failed recipients with the original template and options', async () => {
+    rejectRecipients('b@example.com', 'd@example.com');
+    const id = await runBulkJob();
+    emailService.sendSingleEmail.mockClear();
+    emailService.sendSingleEmail.mockImplementation(async emailData => sentResult(emailData));
+
+    const res = await request(app).post(`/api/email/job/${id}/retry-failed`).expect(200);
+
+    expect(res.body).toMatchObject({ success: true, retryOf: id, recipients: 2 });
+    const retryJob = getJob(res.body.jobId);
+    expect(retryJob.data.recipients.map(recipient => recipient.email)).toEqual(['b@example.com', 'd@example.com']);
+    expect(retryJob.data.template).toEqual(template);
+    expect(retryJob.data.options).toMatchObject({ priority: 3, retryOf: id });
+    expect(getJob(id).retries).toEqual([res.body.jobId]);
+
+    await waitFor(() => getJob(res.body.jobId).state === 'completed');
+    expect(sentTo()).toEqual(['b@example.com', 'd@example.com']);
+  });
+
+  it('returns 400 when every recipient was sent', async () => {
+    const id = await runBulkJob();
+
+    const res = await request(app).post(`/api/email/job/${id}/retry-failed`).expect(400);
+
+    expect(res.body.error).toBe('Job has no failed recipients');
+  });
+
+  it('returns 409 while the job has not finished', async () => {
+    await queueService.pauseQueue();
+    const { id } = await queueService.addBulkEmailJob(recipients, template);
+
+    const res = await request(app).post(`/api/email/job/${id}/retry-failed`).expect(409);
+
+    expect(res.body.error).toBe(`Job ${id} is still waiting`);
+  });
+
+  it('returns 404 for an unknown job', async () => {
+    await request(app).post('/api/email/job/999999/retry-failed').expect(404);
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { zonedTimeToUtc, resolveSendAt, getNextZonedMidnight } = require('../src/utils/schedule');
+const { waitFor, sentResult } = require('./helpers');
+
+const template = { subject: 'Hi {{name}}', html: '<p>Hi {{name}}</p>' };
+
+describe('Schedule time helpers', () => {
+  it('converts wall-clock time in a zone to UTC', () => {
+    expect(zonedTimeToUtc('2025-01-15T09:00', 'Asia/Ho_Chi_Minh').toISOString()).toBe('2025-01-15T02:00:00.000Z');
+    expect(zonedTimeToUtc('2025-01-15', 'Asia/Ho_Chi_Minh').toISOString()).toBe('2025-01-14T17:00:00.000Z');
+    expect(zonedTimeToUtc('2025-01-15T09:00:00.25', 'Asia/Ho_Chi_Minh').toISOString()).toBe('2025-01-15T02:00:00.250Z');
+  });
+
+  it('follows daylight saving time changes', () => {
+    expect(zonedTimeToUtc('2025-01-15T09:00', 'America/New_York').toISOString()).toBe('2025-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc('2025-07-15T09:00', 'America/New_York').toISOString()).toBe('2025-07-15T13:00:00.000Z');
+  });
+
+  it('treats timestamps with an offset as absolute', () => {
+    expect(resolveSendAt('2025-01-15T09:00:00Z', 'Asia/Tokyo').toISOString()).toBe('2025-01-15T09:00:00.000Z');
+    expect(resolveSendAt('2025-01-15T09:00:00+07:00', 'America/New_York').toISOString()).toBe('2025-01-15T02:00:00.000Z');
+    expect(resolveSendAt('2025-01-15T09:00', 'Asia/Tokyo').toISOString()).toBe('2025-01-15T00:00:00.000Z');
+    expect(resolveSendAt(undefined, 'Asia/Tokyo')).toBeNull();
+  });
+
+  it('finds the next midnight in a zone', () => {
+    expect(getNextZonedMidnight(new Date('2025-01-15T18:30:00Z'), 'Asia/Ho_Chi_Minh').toISOString()).toBe('2025-01-16T17:00:00.000Z');
+  });
+});
+
+describe('Scheduled sends', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getJob = id => queueService.store.get(Number(id));
+
+  it('holds a bulk job with sendAt until it is rescheduled to a time that has passed', async () => {
+    const res = await request(app)
+      .post('/api/email/send-bulk')
+      .send({
+        recipients: [{ email: 'a@example.com', name: 'A' }],
+        template,
+        options: { sendAt: '2099-01-15T09:00', timezone: 'Asia/Ho_Chi_Minh' }
+      })
+      .expect(200);
+
+    expect(res.body.sendAt).toBe('2099-01-15T02:00:00.000Z');
+    expect(getJob(res.body.jobId).state).toBe('delayed');
+
+    const scheduled = await request(app).get('/api/email/jobs/scheduled').expect(200);
+    expect(scheduled.body.jobs).toEqual([expect.objectContaining({
+      id: res.body.jobId,
+      sendAt: '2099-01-15T02:00:00.000Z',
+      timezone: 'Asia/Ho_Chi_Minh',
+      recipients: 1
+    })]);
+
+    await request(app)
+      .patch(`/api/email/job/${res.body.jobId}/schedule`)
+      .send({ sendAt: '2020-01-01T00:00:00Z' })
+      .expect(200);
+
+    await waitFor(() => getJob(res.body.jobId).state === 'completed');
+    expect(emailService.sendSingleEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('schedules one job per recipient time zone for recipientLocalTime', async () => {
+    const res = await request(app)
+      .post('/api/email/send-bulk')
+      .send({
+        recipients: [
+          { email: 'hanoi@example.com', timezone: 'Asia/Ho_Chi_Minh' },
+          { email: 'tokyo@example.com', timezone: 'Asia/Tokyo' },
+          { email: 'saigon@example.com', timezone: 'Asia/Ho_Chi_Minh' }
+        ],
+        template,
+        options: { sendAt: '2099-01-15T09:00', recipientLocalTime: true }
+      })
+      .expect(200);
+
+    expect(res.body.jobs).toEqual([
+      expect.objectContaining({ timezone: 'Asia/Ho_Chi_Minh', sendAt: '2099-01-15T02:00:00.000Z', recipients: 2 }),
+      expect.objectContaining({ timezone: 'Asia/Tokyo', sendAt: '2099-01-15T00:00:00.000Z', recipients: 1 })
+    ]);
+    res.body.jobs.forEach(job => expect(getJob(job.id).state).toBe('delayed'));
+    expect(emailService.sendSingleEmail).not.toHaveBeenCalled();
+  });
+
+  it('accepts a local sendAt with fractional seconds', async () => {
+    const res = await request(app)
+      .post('/api/email/send-queued')
+      .send({ to: 'a@example.com', subject: 'Hi', text: 'Hi', options: { sendAt: '2099-01-15T09:00:00.000', timezone: 'Asia/Tokyo' } })
+      .expect(200);
+
+    expect(res.body.sendAt).toBe('2099-01-15T00:00:00.000Z');
+    expect(getJob(res.body.jobId).state).toBe('delayed');
+  });
+
+  it('rejects recipientLocalTime with an absolute sendAt', async () => {
+    const res = await request(app)
+      .post('/api/email/send-bulk')
+      .send({
+        recipients: [{ email: 'a@example.com' }],
+        template,
+        options: { sendAt: '2099-01-15T09:00:00Z', recipientLocalTime: true }
+      })
+      .expect(400);
+
+    expect(res.body.details).toEqual(['"options.recipientLocalTime" requires "options.sendAt" as a local time without offset']);
+  });
+
+  it('rejects an unknown time zone', async () => {
+    await request(app)
+      .post('/api/email/send-bulk')
+      .send({ recipients: [{ email: 'a@example.com' }], template, options: { sendAt: '2099-01-15T09:00', timezone: 'Mars/Olympus' } })
+      .expect(400);
+  });
+
+  it('does not reschedule a job that already ran', async () => {
+    const { id } = await queueService.addBulkEmailJob([{ email: 'a@example.com' }], template);
+    await waitFor(() => getJob(id).state === 'completed');
+
+    const res = await request(app)
+      .patch(`/api/email/job/${id}/schedule`)
+      .send({ sendAt: '2099-01-15T09:00:00Z' })
+      .expect(400);
+
+    expect(res.body.error).toBe(`Cannot reschedule job ${id} in state completed`);
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const { waitFor, sentResult } = require('./helpers');
+
+const uploadsDir = path.join(process.cwd(), 'uploads');
+const listName = `schedule-test-${process.pid}.csv`;
+
+function scheduleBody(recipientSource) {
+  return {
+    name: 'Weekly newsletter',
+    cron: '0 9 * * MON',
+    template: { subject: 'Hi {{name}}', html: '<p>Hi {{name}}</p>' },
+    recipientSource: { type: 'csv', ...recipientSource }
+  };
+}
+
+describe('Recurring schedule recipient files', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+    fs.writeFileSync(path.join(uploadsDir, listName), 'email,name\nreader@example.com,Reader\n');
+  });
+
+  afterAll(async () => {
+    fs.unlinkSync(path.join(uploadsDir, listName));
+    await queueService.close();
+  });
+
+  it.each([
+    ['a path escaping uploads/', '../package.json'],
+    ['an absolute path', path.join(process.cwd(), 'package.json')],
+    ['a system file', '/etc/passwd']
+  ])('rejects %s', async (label, filePath) => {
+    const res = await request(app)
+      .post('/api/email/schedules')
+      .send(scheduleBody({ path: filePath }))
+      .expect(400);
+
+    expect(res.body.details).toContain('"path" must be a file inside the uploads directory');
+  });
+
+  it('reads recipients from a file inside uploads/', async () => {
+    const res = await request(app)
+      .post('/api/email/schedules')
+      .send(scheduleBody({ path: listName }))
+      .expect(201);
+
+    const recipients = await queueService.resolveScheduleRecipients(res.body.schedule);
+    expect(recipients).toEqual([expect.objectContaining({ email: 'reader@example.com', name: 'Reader' })]);
+  });
+
+  it('refuses to run a stored schedule whose file is outside uploads/', async () => {
+    await expect(queueService.resolveScheduleRecipients({ recipientSource: { type: 'csv', path: '/etc/passwd' } }))
+      .rejects.toThrow('Recipient file /etc/passwd is outside the uploads directory');
+  });
+});
+
+describe('Recurring schedules', () => {
+  let queueService;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => sentResult(emailData));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const inlineSchedule = changes => ({
+    name: 'Daily digest',
+    cron: '0 9 * * *',
+    timezone: 'Asia/Ho_Chi_Minh',
+    template: { subject: 'Hi {{name}}', html: '<p>Hi {{name}}</p>' },
+    recipients: [{ email: 'reader@example.com', name: 'Reader' }],
+    ...changes
+  });
+
+  it('creates, reads, updates and deletes a schedule', async () => {
+    const created = await request(app).post('/api/email/schedules').send(inlineSchedule()).expect(201);
+    const { id } = created.body.schedule;
+    // 09:00 in Ho Chi Minh City is 02:00 UTC
+    expect(created.body.schedule.nextRunAt).toMatch(/T02:00:00\.000Z$/);
+
+    const listed = await request(app).get('/api/email/schedules').expect(200);
+    expect(listed.body.schedules.map(schedule => schedule.id)).toContain(id);
+
+    const disabled = await request(app).put(`/api/email/schedules/${id}`).send({ enabled: false }).expect(200);
+    expect(disabled.body.schedule).toMatchObject({ enabled: false, nextRunAt: null, name: 'Daily digest' });
+    expect(queueService.scheduleTimers.has(id)).toBe(false);
+
+    await request(app).delete(`/api/email/schedules/${id}`).expect(200);
+    await request(app).get(`/api/email/schedules/${id}`).expect(404);
+  });
+
+  it('rejects an invalid cron expression', async () => {
+    const res = await request(app).post('/api/email/schedules').send(inlineSchedule({ cron: '61 * * * *' })).expect(400);
+
+    expect(res.body.details[0]).toMatch(/^"cron" is not a valid cron expression/);
+  });
+
+  it('starts a bulk job on every run and records it in the history', async () => {
+    // Six fields: every second
+    const created = await request(app).post('/api/email/schedules').send(inlineSchedule({ cron: '* * * * * *' })).expect(201);
+    const { id } = created.body.schedule;
+
+    const history = await waitFor(async () => {
+      const { history: runs } = await queueService.getSchedule(id);
+      return runs.length > 0 && runs;
+    }, { timeout: 3000 });
+    await queueService.deleteSchedule(id);
+
+    expect(history[0]).toMatchObject({ recipients: 1, duplicatesRemoved: 0, jobId: expect.any(String) });
+    const job = queueService.store.get(Number(history[0].jobId));
+    expect(job.data.options.scheduleId).toBe(id);
+    await waitFor(() => job.state === 'completed');
+    expect(emailService.sendSingleEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'reader@example.com', subject: 'Hi Reader' }));
+  });
+});
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own stores so runs never touch ./data or each other
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-email-test-'));
+
+process.env.NODE_ENV = 'test';
+process.env.TEST_DATA_DIR = dataDir;
+process.env.JOB_STORE_PATH = path.join(dataDir, 'jobs.journal');
+process.env.DELIVERY_LOG_PATH = path.join(dataDir, 'deliveries.journal');
+process.env.SCHEDULE_STORE_PATH = path.join(dataDir, 'schedules.json');
+process.env.WEBHOOK_STORE_PATH = path.join(dataDir, 'webhooks.json');
+process.env.WEBHOOK_DELIVERIES_PATH = path.join(dataDir, 'webhook-deliveries.journal');
+process.env.USAGE_STORE_PATH = path.join(dataDir, 'usage.json');
+process.env.ACCOUNT_STORE_PATH = path.join(dataDir, 'accounts.json');
+process.env.QUEUE_POLL_INTERVAL = '10';
+process.env.QUEUE_RETRY_DELAY = '10';
+process.env.ACCOUNT_RATE_PER_SECOND = '1000';
+delete process.env.REDIS_HOST;
+delete process.env.REDIS_PORT;
+delete process.env.EMAIL_ACCOUNTS_FILE;
@@ -0,0 +1,79 @@
+const { classifySmtpError, isAuthError, isAccountError } = require('../src/utils/smtpErrors');
+
+const smtpError = fields => Object.assign(new Error('SMTP error'), fields);
+
+describe('classifySmtpError', () => {
+  it.each([421, 450, 451, 452, 454])('treats SMTP %i as transient', (responseCode) => {
+    expect(classifySmtpError(smtpError({ responseCode }))).toBe('transient');
+  });
+
+  it.each([500, 530, 535, 550, 552, 553, 554])('treats SMTP %i as permanent', (responseCode) => {
+    expect(classifySmtpError(smtpError({ responseCode }))).toBe('permanent');
+  });
+
+  it('lets the SMTP reply code win over the error code', () => {
+    expect(classifySmtpError(smtpError({ code: 'EENVELOPE', responseCode: 452 }))).toBe('transient');
+    expect(classifySmtpError(smtpError({ code: 'ECONNECTION', responseCode: 554 }))).toBe('permanent');
+  });
+
+  it('reads reply codes given as strings', () => {
+    expect(classifySmtpError(smtpError({ responseCode: '550' }))).toBe('permanent');
+  });
+
+  it.each([
+    'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNECTION', 'ETLS', 'ESOCKET', 'EPIPE', 'EDNS',
+    'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EDAILYLIMIT', 'ERATELIMIT', 'ENOHEALTHYACCOUNTS'
+  ])('treats %s as transient', (code) => {
+    expect(classifySmtpError(smtpError({ code }))).toBe('transient');
+  });
+
+  it.each(['EAUTH', 'EENVELOPE', 'EMESSAGE', 'ENOACCOUNTS'])('treats %s as permanent', (code) => {
+    expect(classifySmtpError(smtpError({ code }))).toBe('permanent');
+  });
+
+  it('treats unknown and missing errors as transient', () => {
+    expect(classifySmtpError(smtpError({ code: 'ESOMETHING' }))).toBe('transient');
+    expect(classifySmtpError(new Error('Unexpected'))).toBe('transient');
+    expect(classifySmtpError(null)).toBe('transient');
+  });
+});
+
+describe('isAccountError', () => {
+  it.each([
+    'EAUTH', 'ETLS', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNECTION', 'ESOCKET', 'EPIPE',
+    'EDNS', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'
+  ])('blames the account for %s', (code) => {
+    expect(isAccountError(smtpError({ code }))).toBe(true);
+  });
+
+  it.each([421, 454, 530, 534, 535])('blames the account for SMTP %i', (responseCode) => {
+    expect(isAccountError(smtpError({ responseCode }))).toBe(true);
+  });
+
+  it.each([
+    ['EENVELOPE', 550],
+    ['EMESSAGE', 552],
+    ['EENVELOPE', 451],
+    ['EDAILYLIMIT', undefined],
+    ['ERATELIMIT', undefined]
+  ])('does not blame the account for %s %s', (code, responseCode) => {
+    expect(isAccountError(smtpError({ code, responseCode }))).toBe(false);
+  });
+
+  it('handles a missing error', () => {
+    expect(isAccountError(null)).toBe(false);
+  });
+});
+
+describe('isAuthError', () => {
+  it.each([
+    [{ code: 'EAUTH' }, true],
+    [{ responseCode: 530 }, true],
+    [{ responseCode: 534 }, true],
+    [{ responseCode: 535 }, true],
+    [{ responseCode: 454 }, false],
+    [{ code: 'ETLS' }, false]
+  ])('classifies %o', (fields, expected) => {
+    expect(isAuthError(smtpError(fields))).toBe(expected);
+  });
+});
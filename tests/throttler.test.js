@@ -0,0 +1,96 @@
+const throttler = require('../src/services/throttler');
+
+const Throttler = throttler.constructor;
+const account = { id: 1, email: 'sender@example.com' };
+
+describe('Throttler', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  function createThrottler(env) {
+    Object.assign(process.env, env);
+    return new Throttler();
+  }
+
+  it('lets a burst up to the limit through, then spaces sends out', async () => {
+    const limiter = createThrottler({ ACCOUNT_RATE_PER_SECOND: '10' });
+
+    const startedAt = Date.now();
+    for (let i = 0; i < 10; i++) await limiter.acquire(account, 'user@example.com');
+    expect(Date.now() - startedAt).toBeLessThan(50);
+
+    await limiter.acquire(account, 'user@example.com');
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+  });
+
+  it('fails with ERATELIMIT instead of waiting past THROTTLE_MAX_WAIT', async () => {
+    const limiter = createThrottler({ ACCOUNT_RATE_PER_SECOND: '1000', ACCOUNT_RATE_PER_HOUR: '1', THROTTLE_MAX_WAIT: '50' });
+
+    await limiter.acquire(account, 'user@example.com');
+    await expect(limiter.acquire(account, 'user@example.com')).rejects.toMatchObject({
+      code: 'ERATELIMIT',
+      message: expect.stringContaining('account sender@example.com per hour')
+    });
+  });
+
+  it('prefers the rate limits configured on the account', async () => {
+    const limiter = createThrottler({ ACCOUNT_RATE_PER_SECOND: '1', THROTTLE_MAX_WAIT: '50' });
+    const fast = { ...account, id: 2, rateLimits: { perSecond: 3 } };
+
+    for (let i = 0; i < 3; i++) await limiter.acquire(fast, 'user@example.com');
+
+    expect(limiter.getAccountStatus(fast)).toEqual({ perSecond: { limit: 3, per: 'second', available: 0 } });
+  });
+
+  it('limits each recipient domain separately, with "*" as the default', async () => {
+    const limiter = createThrottler({
+      ACCOUNT_RATE_PER_SECOND: '1000',
+      THROTTLE_MAX_WAIT: '50',
+      DOMAIN_RATE_LIMITS: 'gmail.com=1/min, *=2/hour, broken, yahoo.com=0/min'
+    });
+
+    await limiter.acquire(account, 'a@gmail.com');
+    await expect(limiter.acquire(account, 'b@gmail.com')).rejects.toMatchObject({ code: 'ERATELIMIT' });
+
+    // Every other domain gets its own bucket of the "*" limit; one send takes one token per domain
+    await limiter.acquire(account, ['a@example.com', 'b@example.com']);
+    await limiter.acquire(account, 'c@example.com');
+    await limiter.acquire(account, 'a@example.org');
+    await expect(limiter.acquire(account, 'd@example.com')).rejects.toMatchObject({ code: 'ERATELIMIT' });
+
+    expect(limiter.getDomainStatus()).toEqual([
+      { domain: 'gmail.com', limit: 1, per: 'minute', buckets: [{ domain: 'gmail.com', limit: 1, per: 'minute', available: 0 }] },
+      {
+        domain: '*',
+        limit: 2,
+        per: 'hour',
+        buckets: [
+          { domain: 'example.com', limit: 2, per: 'hour', available: 0 },
+          { domain: 'example.org', limit: 2, per: 'hour', available: 1 }
+        ]
+      }
+    ]);
+  });
+
+  it('takes no token from any bucket when one of them is exhausted', async () => {
+    const limiter = createThrottler({ ACCOUNT_RATE_PER_SECOND: '5', THROTTLE_MAX_WAIT: '50', DOMAIN_RATE_LIMITS: 'gmail.com=1/hour' });
+
+    await limiter.acquire(account, 'a@gmail.com');
+    await expect(limiter.acquire(account, 'b@gmail.com')).rejects.toMatchObject({ code: 'ERATELIMIT' });
+
+    expect(limiter.getAccountStatus(account).perSecond.available).toBe(4);
+  });
+
+  it('starts a fresh bucket when an account limit is reconfigured', async () => {
+    const limiter = createThrottler({ ACCOUNT_RATE_PER_SECOND: '1000', THROTTLE_MAX_WAIT: '50' });
+    const limited = { ...account, rateLimits: { perHour: 1 } };
+
+    await limiter.acquire(limited, 'user@example.com');
+    await expect(limiter.acquire(limited, 'user@example.com')).rejects.toMatchObject({ code: 'ERATELIMIT' });
+
+    await limiter.acquire({ ...limited, rateLimits: { perHour: 5 } }, 'user@example.com');
+  });
+});
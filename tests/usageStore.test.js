@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const path = require('path');
+const UsageStore = require('../src/services/usageStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Just the commands UsageStore uses
+function createRedisClient() {
+  const values = new Map();
+  const hashes = new Map();
+  const hash = key => hashes.get(key) || hashes.set(key, new Map()).get(key);
+
+  return {
+    async incr(key) {
+      values.set(key, (parseInt(values.get(key)) || 0) + 1);
+      return values.get(key);
+    },
+    async get(key) {
+      return values.has(key) ? String(values.get(key)) : null;
+    },
+    async expire() {},
+    async hincrby(key, field, amount) {
+      hash(key).set(field, (parseInt(hash(key).get(field)) || 0) + amount);
+    },
+    async hgetall(key) {
+      return Object.fromEntries(hash(key));
+    },
+    async hdel(key, ...fields) {
+      fields.forEach(field => hash(key).delete(field));
+    }
+  };
+}
+
+describe('UsageStore', () => {
+  let filePath;
+
+  beforeEach(() => {
+    filePath = path.join(process.env.TEST_DATA_DIR, `usage-${crypto.randomUUID()}.json`);
+    jest.useFakeTimers({ now: new Date('2025-03-10T10:30:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.USAGE_RESET_TIMEZONE;
+  });
+
+  function createStore(timeZone = 'Asia/Ho_Chi_Minh') {
+    process.env.USAGE_RESET_TIMEZONE = timeZone;
+    const store = new UsageStore(filePath);
+    store.load();
+    return store;
+  }
+
+  it('keeps counters across a restart', async () => {
+    const store = createStore();
+    await store.increment(1);
+    expect(await store.increment(1)).toEqual({ date: '2025-03-10', daily: 2, rolling: 2 });
+
+    expect(await createStore().get(1)).toEqual({ date: '2025-03-10', daily: 2, rolling: 2 });
+    expect(await createStore().get(2)).toEqual({ date: '2025-03-10', daily: 0, rolling: 0 });
+  });
+
+  it('resets the daily count at midnight in USAGE_RESET_TIMEZONE but keeps the rolling 24h count', async () => {
+    const store = createStore();
+    await store.increment(1);
+    expect(store.getNextResetAt()).toBe('2025-03-10T17:00:00.000Z');
+
+    // 00:30 on 11 March in Ho Chi Minh City, still 10 March in UTC
+    jest.setSystemTime(new Date('2025-03-10T17:30:00Z'));
+
+    expect(await store.get(1)).toEqual({ date: '2025-03-11', daily: 0, rolling: 1 });
+    expect(await store.increment(1)).toEqual({ date: '2025-03-11', daily: 1, rolling: 2 });
+  });
+
+  it('drops sends older than 24 hours from the rolling count', async () => {
+    const store = createStore('UTC');
+    await store.increment(1);
+    jest.setSystemTime(Date.now() + 12 * HOUR_MS);
+    await store.increment(1);
+
+    jest.setSystemTime(Date.now() + 13 * HOUR_MS);
+
+    expect((await store.get(1)).rolling).toBe(1);
+  });
+
+  it('falls back to the server time zone for an invalid USAGE_RESET_TIMEZONE', () => {
+    const store = createStore('Mars/Olympus');
+
+    expect(store.timeZone).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  });
+
+  describe('with Redis', () => {
+    it('shares counters between instances and drops expired hours', async () => {
+      const redis = createRedisClient();
+      const first = createStore();
+      const second = createStore();
+      first.useRedis(redis);
+      second.useRedis(redis);
+
+      await first.increment(1);
+      expect(await second.increment(1)).toEqual({ date: '2025-03-10', daily: 2, rolling: 2 });
+
+      jest.setSystemTime(Date.now() + 25 * HOUR_MS);
+      expect(await first.get(1)).toEqual({ date: '2025-03-11', daily: 0, rolling: 0 });
+      expect(await redis.hgetall('email:usage:1:hourly')).toEqual({});
+    });
+  });
+});
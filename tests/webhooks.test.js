@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/server');
+const emailService = require('../src/services/emailService');
+const { initializeQueueService } = require('../src/services/queueService');
+const WebhookStore = require('../src/services/webhookStore');
+const { waitFor, sentResult } = require('./helpers');
+
+describe('Outbound webhooks', () => {
+  let queueService;
+  let receiver;
+  let baseUrl;
+  let received;
+  let failuresLeft;
+
+  beforeAll(async () => {
+    queueService = await initializeQueueService();
+    queueService.webhookRetry.delay = 10;
+
+    // Records every delivery by path; failuresLeft[path] requests get a 500 first
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        if (failuresLeft[req.url] > 0) {
+          failuresLeft[req.url]--;
+          res.writeHead(500).end();
+          return;
+        }
+        (received[req.url] = received[req.url] || []).push({ headers: req.headers, body });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    await queueService.close();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = {};
+    failuresLeft = {};
+    jest.spyOn(emailService, 'sendSingleEmail').mockImplementation(async emailData => (emailData.to === 'bad@example.com'
+      ? { success: false, recipient: emailData.to, error: '550 Mailbox unavailable', errorType: 'permanent' }
+      : sentResult(emailData)));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    // Webhooks stay subscribed across tests otherwise
+    await Promise.all((await queueService.listWebhooks()).map(webhook => queueService.deleteWebhook(webhook.id)));
+  });
+
+  async function createWebhook(path, events) {
+    const res = await request(app)
+      .post('/api/email/webhooks')
+      .send({ url: `${baseUrl}${path}`, events })
+      .expect(201);
+    return res.body.webhook;
+  }
+
+  it('posts signed job and recipient events to subscribers', async () => {
+    const webhook = await createWebhook('/all', ['job.completed', 'recipient.sent', 'recipient.failed']);
+    expect(webhook.secret).toMatch(/^[0-9a-f]{64}$/);
+
+    const { id } = await queueService.addBulkEmailJob(
+      [{ email: 'good@example.com' }, { email: 'bad@example.com' }],
+      { subject: 'Hi', html: '<p>Hi</p>' }
+    );
+    await waitFor(() => (received['/all'] || []).length === 3);
+
+    const payloads = received['/all'].map(delivery => JSON.parse(delivery.body));
+    expect(payloads.map(payload => payload.event).sort()).toEqual(['job.completed', 'recipient.failed', 'recipient.sent']);
+    expect(payloads.find(payload => payload.event === 'job.completed').data).toMatchObject({ jobId: id, state: 'completed' });
+    expect(payloads.find(payload => payload.event === 'recipient.failed').data).toMatchObject({ recipient: 'bad@example.com' });
+
+    received['/all'].forEach(({ headers, body }) => {
+      const expected = crypto.createHmac('sha256', webhook.secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+      expect(headers['x-webhook-id']).toBe(JSON.parse(body).id);
+    });
+  });
+
+  it('only sends the events a webhook subscribed to', async () => {
+    await createWebhook('/completed', ['job.completed']);
+    await createWebhook('/disabled', ['job.completed']).then(webhook => queueService.updateWebhook(webhook.id, { enabled: false }));
+
+    const { id } = await queueService.addSingleEmailJob({ to: 'good@example.com', subject: 'Hi', text: 'Hi' });
+    await waitFor(() => received['/completed']);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(received['/completed'].map(delivery => JSON.parse(delivery.body).data.jobId)).toEqual([id]);
+    expect(received['/disabled']).toBeUndefined();
+  });
+
+  it('retries failed deliveries and logs every attempt', async () => {
+    const webhook = await createWebhook('/flaky', ['job.completed']);
+    failuresLeft['/flaky'] = 2;
+
+    const test = await request(app).post(`/api/email/webhooks/${webhook.id}/test`).expect(200);
+    expect(test.body.delivered).toBe(false);
+    await waitFor(() => received['/flaky']);
+
+    const res = await request(app).get(`/api/email/webhooks/${webhook.id}/deliveries`).expect(200);
+    expect(res.body.deliveries.map(delivery => [delivery.attempt, delivery.status, delivery.responseStatus])).toEqual([
+      [3, 'delivered', 204],
+      [2, 'retrying', 500],
+      [1, 'retrying', 500]
+    ]);
+    res.body.deliveries.forEach(delivery => expect(delivery).toMatchObject({ deliveryId: test.body.deliveryId, event: 'webhook.test' }));
+  });
+
+  it('sends retries to the url the webhook has when they run', async () => {
+    const webhook = await createWebhook('/old', ['job.completed']);
+    failuresLeft['/old'] = 1;
+    queueService.webhookRetry.delay = 200;
+
+    try {
+      await request(app).post(`/api/email/webhooks/${webhook.id}/test`).expect(200);
+      await request(app).put(`/api/email/webhooks/${webhook.id}`).send({ url: `${baseUrl}/new` }).expect(200);
+      await waitFor(() => received['/new']);
+    } finally {
+      queueService.webhookRetry.delay = 10;
+    }
+
+    expect(received['/old']).toBeUndefined();
+  });
+
+  it('never returns the secret after creation', async () => {
+    const webhook = await createWebhook('/secret', ['job.failed']);
+
+    const res = await request(app).get(`/api/email/webhooks/${webhook.id}`).expect(200);
+
+    expect(res.body.webhook).toMatchObject({ id: webhook.id, events: ['job.failed'] });
+    expect(res.body.webhook.secret).toBeUndefined();
+  });
+});
+
+describe('WebhookStore', () => {
+  const webhook = { id: 'hook-1', url: 'http://127.0.0.1/hook', events: ['job.completed'], enabled: true };
+  let filePath;
+  let deliveriesPath;
+
+  beforeEach(() => {
+    const name = crypto.randomUUID();
+    filePath = path.join(process.env.TEST_DATA_DIR, `webhooks-${name}.json`);
+    deliveriesPath = path.join(process.env.TEST_DATA_DIR, `webhook-deliveries-${name}.journal`);
+  });
+
+  function createStore() {
+    const store = new WebhookStore(filePath, deliveriesPath);
+    store.maxDeliveries = 3;
+    store.load();
+    return store;
+  }
+
+  it('journals delivery attempts apart from the subscriptions and keeps the newest after a restart', async () => {
+    const store = createStore();
+    await store.save(webhook);
+    const subscriptions = fs.readFileSync(filePath, 'utf8');
+
+    for (let attempt = 1; attempt <= 10; attempt++) {
+      await store.addDelivery(webhook.id, { deliveryId: `d${attempt}`, attempt });
+    }
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(subscriptions);
+    // Trimmed attempts are dropped from the journal once it reaches twice the kept size
+    expect(fs.readFileSync(deliveriesPath, 'utf8').trim().split('\n').length).toBeLessThanOrEqual(6);
+    expect((await createStore().listDeliveries(webhook.id)).map(delivery => delivery.deliveryId)).toEqual(['d10', 'd9', 'd8']);
+  });
+
+  it('drops the delivery log of a removed webhook', async () => {
+    const store = createStore();
+    await store.save(webhook);
+    await store.addDelivery(webhook.id, { deliveryId: 'd1', attempt: 1 });
+
+    await store.remove(webhook.id);
+    await store.addDelivery(webhook.id, { deliveryId: 'd2', attempt: 1 });
+
+    expect(fs.readFileSync(deliveriesPath, 'utf8')).toBe('');
+    expect(await createStore().listDeliveries(webhook.id)).toEqual([]);
+  });
+});